@@ -5,16 +5,20 @@ import { AnaglyphEffect } from "three/examples/jsm/effects/AnaglyphEffect.js";
 const CELL_WIDTH = 100; // Width (X axis) - wide like Excel
 const CELL_HEIGHT = 30; // Height (Y axis) - short like Excel rows
 const CELL_DEPTH = 100; // Depth (Z axis) - for stacking layers
-const GRID_SIZE_Z = 5; // Number of depth layers
+const DEFAULT_LAYER_COUNT = 5; // Depth layers on a fresh sheet
 const LABEL_OFFSET_X = 90; // Space for row labels on the left
 const LABEL_OFFSET_Y = 50; // Space for column labels on top
-
-// Dynamic grid size based on window
 const TOOLBAR_HEIGHT = 48; // Height of the toolbar
-let GRID_SIZE_X = Math.floor((window.innerWidth - LABEL_OFFSET_X) / CELL_WIDTH); // Columns based on viewport width
-let GRID_SIZE_Y = Math.floor(
-  (window.innerHeight - TOOLBAR_HEIGHT - LABEL_OFFSET_Y) / CELL_HEIGHT
-); // Rows based on viewport height (minus toolbar)
+
+// The sheet is sparse: only cells with content or formatting are stored, and
+// only the cells in and around the camera view get instances and labels (see
+// updateRenderedRegion). It reaches up to Excel's column and row limits;
+// GRID_SIZE_Z is the number of layers, grown on demand (navigation, paste,
+// import, loading) up to MAX_GRID_LAYERS. It never shrinks.
+const MAX_GRID_COLUMNS = 16384; // Up to column XFD, as in Excel
+const MAX_GRID_ROWS = 1048576;
+const MAX_GRID_LAYERS = 100;
+let GRID_SIZE_Z = DEFAULT_LAYER_COUNT;
 
 // Application state
 const cellData = {}; // Store cell values: "x,y,z" -> value
@@ -25,12 +29,20 @@ const cellTextItalic = {}; // Store italic state: "x,y,z" -> boolean
 const cellTextStrikethrough = {}; // Store strikethrough state: "x,y,z" -> boolean
 const cellFontFamily = {}; // Store font family: "x,y,z" -> font name
 const cellFontSize = {}; // Store font size: "x,y,z" -> size in px
+const cellNumberFormat = {}; // Number format code: "x,y,z" -> e.g. "#,##0.00"
+const cellHorizontalAlign = {}; // "x,y,z" -> "left" | "right" (centered if unset)
+const cellVerticalAlign = {}; // "x,y,z" -> "top" | "bottom" (middle if unset)
+const cellTextWrap = {}; // "x,y,z" -> "wrap" | "shrink" (clipped if unset)
+const cellMergeSpans = {}; // Merged block at its top-left-front cell: "x,y,z" -> "columns,rows,layers"
+const cellComments = {}; // Comment thread: "x,y,z" -> [{ author, text, timestamp }]
+const layerNames = {}; // Custom layer labels (e.g. worksheet names): z -> name
+const conditionalFormats = {}; // Conditional formatting rules by id, in priority order: id -> rule
+const dataValidations = {}; // Data validation rules by id, newest last: id -> rule
+const namedRanges = {}; // Defined names: name -> { minX, maxX, minY, maxY, minZ, maxZ }
+const charts = {}; // Charts by id: id -> { type, range }
+const cellComputedValues = new Map(); // Cached formula results: "x,y,z" -> value
+const formulaPrecedents = new Map(); // Ranges each formula reads: "x,y,z" -> [range]
 let scene, camera, renderer;
-let cellMeshes = [];
-let textSprites = [];
-let labelSprites = [];
-let selectedCell = null;
-let selectedCellMesh = null;
 let selectionOutline = null;
 let selectionStart = null; // Starting cell for drag selection
 let selectionEnd = null; // Ending cell for drag selection
@@ -41,6 +53,7 @@ let isRotating = false;
 let isEditingCell = false;
 let editingCellCoords = null;
 let editingText = "";
+let editingOriginalText = ""; // Cell text before editing started (restored on cancel)
 let previousMousePosition = { x: 0, y: 0 };
 let pivot; // Group to hold all cells for rotation
 
@@ -67,6 +80,10 @@ let rotationAngle4D = 0;
 const cellOriginalPositions = new Map(); // Store original 3D positions
 let extremePerspectiveCamera = null; // Ultra-wide FOV camera for 4D mode
 
+// Formula state
+const formulaEvaluationStack = new Set(); // Cells currently being evaluated (cycle guard)
+let isRecalculating = false;
+
 // Quantum uncertainty state
 let isQuantumMode = false;
 const quantumOriginalValues = new Map(); // Store original numeric values
@@ -79,9 +96,10 @@ function init() {
   scene = new THREE.Scene();
   scene.background = new THREE.Color(0xffffff);
 
-  // Create orthographic camera for top-left origin
-  const gridWidth = GRID_SIZE_X * CELL_WIDTH;
-  const gridHeight = GRID_SIZE_Y * CELL_HEIGHT;
+  // Create orthographic camera for top-left origin, framing the viewport
+  const viewport = getViewportGridSize();
+  const gridWidth = viewport.x * CELL_WIDTH;
+  const gridHeight = viewport.y * CELL_HEIGHT;
 
   // Set up camera to view grid from top-left (0,0)
   // Create orthographic camera (default)
@@ -166,18 +184,24 @@ function init() {
   topLight.position.set(0, 1, 0.5);
   scene.add(topLight);
 
-  // Create grid of cells
-  createCellGrid();
+  // Create the cells and row, column and layer labels in view
+  updateRenderedRegion();
 
-  // Create row and column labels
-  createLabels();
+  // Create the shared glyph atlas and instanced text mesh
+  createTextMesh();
 
   // Event listeners
   window.addEventListener("resize", onWindowResize);
   window.addEventListener("keydown", onKeyDown);
+  document.addEventListener("copy", onCopy);
+  document.addEventListener("cut", onCut);
+  document.addEventListener("paste", onPaste);
   renderer.domElement.addEventListener("mousedown", onMouseDown);
   renderer.domElement.addEventListener("mousemove", onMouseMove);
   renderer.domElement.addEventListener("mouseup", onMouseUp);
+  renderer.domElement.addEventListener("mouseleave", () => {
+    hoveredCommentCell = null;
+  });
   renderer.domElement.addEventListener("click", onClick);
   renderer.domElement.addEventListener("contextmenu", (e) =>
     e.preventDefault()
@@ -190,13 +214,14 @@ function init() {
     passive: false,
   });
   renderer.domElement.addEventListener("touchend", onTouchEnd);
-  // Double-click disabled - using inline editing instead
-  // renderer.domElement.addEventListener("dblclick", onDoubleClick);
+  // Cells are edited in place (typing or Enter); double-clicking a label
+  // border auto-fits its column or row
+  renderer.domElement.addEventListener("dblclick", onLabelDoubleClick);
 
-  // Cell input handling
-  const cellInput = document.getElementById("cell-input");
-  cellInput.addEventListener("blur", onCellInputBlur);
-  cellInput.addEventListener("keydown", onCellInputKeydown);
+  // Name box: shows the selection, jumps to typed names and addresses
+  const nameBox = document.getElementById("name-box");
+  nameBox.addEventListener("keydown", onNameBoxKeydown);
+  nameBox.addEventListener("blur", updateNameBox);
 
   // Color picker handling
   const colorPicker = document.getElementById("color-picker");
@@ -206,111 +231,827 @@ function init() {
   const textColorPicker = document.getElementById("text-color-picker");
   textColorPicker.addEventListener("input", onTextColorChange);
 
+  // Excel workbook import
+  const xlsxFileInput = document.getElementById("xlsx-file-input");
+  xlsxFileInput.addEventListener("change", onXlsxFileChange);
+
+  // Workbook file open
+  const workbookFileInput = document.getElementById("workbook-file-input");
+  workbookFileInput.addEventListener("change", onWorkbookFileChange);
+
   // Start animation loop
   animate();
 }
 
-function createCellGrid() {
-  const cellGeometry = new THREE.BoxGeometry(
-    CELL_WIDTH,
-    CELL_HEIGHT,
-    CELL_DEPTH
+// Number of columns and rows that fill the viewport
+function getViewportGridSize() {
+  return {
+    x: Math.floor((window.innerWidth - LABEL_OFFSET_X) / CELL_WIDTH),
+    y: Math.floor(
+      (window.innerHeight - TOOLBAR_HEIGHT - LABEL_OFFSET_Y) / CELL_HEIGHT
+    ),
+  };
+}
+
+// Cells are drawn with instancing: each cell owns one instance index, shared by
+// the fill mesh (also used for picking), the lit mesh that shows background
+// colors and the instanced edge lines
+const CELL_EMPTY_OPACITY = 0.1;
+const CELL_TEXT_OPACITY = 0.2;
+let cellGeometry = null;
+let cellEdgesGeometry = null;
+let cellFillMaterial = null;
+let cellColorMaterial = null;
+let cellEdgeMaterial = null;
+let cellFills = null; // InstancedMesh: translucent white fills
+let cellColorFills = null; // InstancedMesh: opaque fills of colored cells
+let cellEdges = null; // LineSegments over an InstancedBufferGeometry
+let cellCapacity = 0;
+const cellIndex = new Map(); // "x,y,z" -> instance index
+const cellInstances = []; // instance index -> { x, y, z, type: "cell" }
+const hiddenCellMatrix = new THREE.Matrix4().makeScale(0, 0, 0);
+const cellMatrix = new THREE.Matrix4();
+const cellColor = new THREE.Color();
+
+function createCellMaterials() {
+  cellGeometry = new THREE.BoxGeometry(CELL_WIDTH, CELL_HEIGHT, CELL_DEPTH);
+  cellEdgesGeometry = new THREE.EdgesGeometry(cellGeometry);
+
+  // Subtle white fill (no lighting); opacity varies per instance
+  cellFillMaterial = new THREE.MeshBasicMaterial({
+    color: 0xffffff,
+    transparent: true,
+    depthWrite: false, // Don't write to depth buffer to reduce z-fighting
+    side: THREE.DoubleSide,
+  });
+  cellFillMaterial.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace(
+        "#include <common>",
+        "#include <common>\nattribute float instanceOpacity;\nvarying float vInstanceOpacity;"
+      )
+      .replace(
+        "#include <begin_vertex>",
+        "#include <begin_vertex>\nvInstanceOpacity = instanceOpacity;"
+      );
+    shader.fragmentShader = shader.fragmentShader
+      .replace(
+        "#include <common>",
+        "#include <common>\nvarying float vInstanceOpacity;"
+      )
+      .replace(
+        "#include <color_fragment>",
+        "#include <color_fragment>\ndiffuseColor.a *= vInstanceOpacity;"
+      );
+  };
+
+  // Lighting material for colored cells; the emissive glow follows each instance color
+  cellColorMaterial = new THREE.MeshStandardMaterial({
+    color: 0xffffff,
+    transparent: true,
+    opacity: 1.0,
+    depthWrite: false,
+    side: THREE.DoubleSide,
+    metalness: 0.0, // No metallic for pure colors
+    roughness: 0.5, // Less matte for more vibrant colors
+    emissive: 0xffffff,
+    emissiveIntensity: 0.15, // Slight self-illumination for vibrancy
+  });
+  cellColorMaterial.onBeforeCompile = (shader) => {
+    shader.fragmentShader = shader.fragmentShader.replace(
+      "vec3 totalEmissiveRadiance = emissive;",
+      "vec3 totalEmissiveRadiance = emissive * vColor.rgb;"
+    );
+  };
+
+  // Edge lines, offset to each cell's center and scaled (to zero when hidden)
+  cellEdgeMaterial = new THREE.LineBasicMaterial({
+    color: 0xbbbbbb,
+    linewidth: 1,
+    depthTest: true,
+  });
+  cellEdgeMaterial.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace(
+        "#include <common>",
+        "#include <common>\nattribute vec3 instanceOffset;\nattribute vec3 instanceScale;"
+      )
+      .replace(
+        "#include <begin_vertex>",
+        "#include <begin_vertex>\ntransformed = transformed * instanceScale + instanceOffset;"
+      );
+  };
+}
+
+// (Re)create the instanced objects with room for `capacity` cells
+function allocateCellInstances(capacity) {
+  const fillGeometry = cellGeometry.clone();
+  fillGeometry.setAttribute(
+    "instanceOpacity",
+    new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1)
+  );
+  const fills = new THREE.InstancedMesh(
+    fillGeometry,
+    cellFillMaterial,
+    capacity
+  );
+  fills.renderOrder = 1; // Render cells before edges
+
+  const colorFills = new THREE.InstancedMesh(
+    cellGeometry,
+    cellColorMaterial,
+    capacity
+  );
+  colorFills.instanceColor = new THREE.InstancedBufferAttribute(
+    new Float32Array(capacity * 3),
+    3
+  );
+  colorFills.renderOrder = 5; // Colored cells render on top of default cells
+
+  const edgesGeometry = new THREE.InstancedBufferGeometry();
+  edgesGeometry.setAttribute(
+    "position",
+    cellEdgesGeometry.getAttribute("position")
+  );
+  ["instanceOffset", "instanceScale"].forEach((name) => {
+    edgesGeometry.setAttribute(
+      name,
+      new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3)
+    );
+  });
+  const edges = new THREE.LineSegments(edgesGeometry, cellEdgeMaterial);
+  edges.renderOrder = 2; // Render edges after cell fill
+  edges.visible = !bordersHidden; // Respect current border visibility state
+
+  if (cellFills) {
+    // Every instance is rebuilt right after, so just drop the old objects
+    pivot.remove(cellFills, cellColorFills, cellEdges);
+    cellFills.geometry.dispose();
+    cellFills.dispose();
+    cellColorFills.dispose();
+    cellEdges.geometry.dispose();
+  }
+
+  // Instances move around in 4D mode, so skip per-object culling
+  [fills, colorFills, edges].forEach((object) => {
+    object.frustumCulled = false;
+    pivot.add(object);
+  });
+
+  cellFills = fills;
+  cellColorFills = colorFills;
+  cellEdges = edges;
+  cellCapacity = capacity;
+}
+
+// Instance index of the cell at (x, y, z), or undefined outside the rendered region
+function getCellInstance(x, y, z) {
+  return cellIndex.get(`${x},${y},${z}`);
+}
+
+// Whether (x, y, z) lies within the sheet's limits
+function isOnSheet(x, y, z) {
+  return (
+    Number.isInteger(x) &&
+    Number.isInteger(y) &&
+    Number.isInteger(z) &&
+    x >= 0 &&
+    y >= 0 &&
+    z >= 0 &&
+    x < MAX_GRID_COLUMNS &&
+    y < MAX_GRID_ROWS &&
+    z < MAX_GRID_LAYERS
+  );
+}
+
+// Selection object of the cell at (x, y, z), or null outside the sheet
+function getCell(x, y, z) {
+  return isOnSheet(x, y, z) && z < GRID_SIZE_Z
+    ? { x, y, z, type: "cell" }
+    : null;
+}
+
+// Sheet layout: columns, rows and layers can have custom sizes (CELL_WIDTH,
+// CELL_HEIGHT and CELL_DEPTH by default); rows hidden by a filter take no space
+const MIN_CELL_SIZE = 10;
+const MAX_CELL_SIZE = 2000;
+const columnWidths = {}; // x -> width
+const rowHeights = {}; // y -> height
+const layerDepths = {}; // z -> depth
+const hiddenRows = new Set();
+const columnLefts = [0]; // columnLefts[x]: distance from the first column's left edge to column x's
+const rowTops = [0]; // rowTops[y]: distance from the first row's top to row y's top
+const layerFronts = [0]; // layerFronts[z]: distance from the first layer's front to layer z's
+
+// Sum of the sizes before `index`, extending a cache of running totals
+function getLayoutOffset(offsets, index, getSize) {
+  for (let i = offsets.length - 1; i < index; i++) {
+    offsets.push(offsets[i] + getSize(i));
+  }
+  return offsets[index];
+}
+
+function getColumnWidth(x) {
+  return columnWidths[x] || CELL_WIDTH;
+}
+
+function getColumnLeft(x) {
+  return getLayoutOffset(columnLefts, x, getColumnWidth);
+}
+
+function getRowHeight(y) {
+  return hiddenRows.has(y) ? 0 : rowHeights[y] || CELL_HEIGHT;
+}
+
+function getRowTop(y) {
+  return getLayoutOffset(rowTops, y, getRowHeight);
+}
+
+function getLayerDepth(z) {
+  return layerDepths[z] || CELL_DEPTH;
+}
+
+function getLayerFront(z) {
+  return getLayoutOffset(layerFronts, z, getLayerDepth);
+}
+
+// Index whose span contains `offset`, clamped to 0..limit - 1 (the inverse of
+// getLayoutOffset)
+function getLayoutIndexAt(offsets, offset, getSize, limit) {
+  while (offsets.length <= limit && offsets[offsets.length - 1] <= offset) {
+    getLayoutOffset(offsets, offsets.length, getSize);
+  }
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (offsets[middle] <= offset) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return Math.min(low, limit - 1);
+}
+
+// Center of the cell at (x, y, z) in the pivot's space
+function getCellCenter(x, y, z) {
+  return {
+    x: LABEL_OFFSET_X + getColumnLeft(x) + getColumnWidth(x) / 2,
+    y: -LABEL_OFFSET_Y - getRowTop(y) - getRowHeight(y) / 2,
+    z: getLayerFront(z) + getLayerDepth(z) / 2,
+  };
+}
+
+// The next row from y in a direction (1 or -1) that isn't hidden
+function getNextVisibleRow(y, direction) {
+  let next = y + direction;
+  while (next >= 0 && hiddenRows.has(next)) {
+    next += direction;
+  }
+  return next < 0 ? y : next;
+}
+
+// Hide exactly the given rows and move every cell, label and text to match
+function setHiddenRows(rows) {
+  hiddenRows.clear();
+  rows.forEach((y) => hiddenRows.add(y));
+  relayoutCells();
+}
+
+// Center and size of a block of cells in the pivot's space
+function getBoxBounds(box) {
+  const left = getColumnLeft(box.minX);
+  const right = getColumnLeft(box.maxX + 1);
+  const top = getRowTop(box.minY);
+  const bottom = getRowTop(box.maxY + 1);
+  const front = getLayerFront(box.minZ);
+  const back = getLayerFront(box.maxZ + 1);
+  return {
+    x: LABEL_OFFSET_X + (left + right) / 2,
+    y: -LABEL_OFFSET_Y - (top + bottom) / 2,
+    z: (front + back) / 2,
+    width: right - left,
+    height: bottom - top,
+    depth: back - front,
+  };
+}
+
+// Merged blocks: the top-left-front cell (the anchor) is drawn over the whole
+// block and the other cells in it aren't drawn; their contents stay in place
+const MAX_MERGE_CELLS = 10000; // Cells one merged block can cover
+const MAX_MERGED_CELLS = 1000000; // Cells all merged blocks of an opened file can cover
+const mergedCells = new Map(); // "x,y,z" of every cell in a merged block -> block
+let mergeLayoutDirty = false; // Merges changed outside relayoutCells
+
+// A "columns,rows,layers" span covering 2 to MAX_MERGE_CELLS cells
+function isValidMergeSpan(span) {
+  if (typeof span !== "string" || !/^[1-9]\d*,[1-9]\d*,[1-9]\d*$/.test(span)) {
+    return false;
+  }
+  const cells = span.split(",").reduce((product, size) => product * size, 1);
+  return cells > 1 && cells <= MAX_MERGE_CELLS;
+}
+
+function getMergedBlocks() {
+  return Object.entries(cellMergeSpans).map(([key, span]) => {
+    const [x, y, z] = key.split(",").map(Number);
+    const [columns, rows, layers] = span.split(",").map(Number);
+    return {
+      key,
+      minX: x,
+      maxX: x + columns - 1,
+      minY: y,
+      maxY: y + rows - 1,
+      minZ: z,
+      maxZ: z + layers - 1,
+    };
+  });
+}
+
+// Merged block containing the cell at (x, y, z), or null
+function getMergedBlock(x, y, z) {
+  return (
+    getMergedBlocks().find(
+      (block) =>
+        x >= block.minX &&
+        x <= block.maxX &&
+        y >= block.minY &&
+        y <= block.maxY &&
+        z >= block.minZ &&
+        z <= block.maxZ
+    ) || null
   );
-  const edgesGeometry = new THREE.EdgesGeometry(cellGeometry);
+}
+
+function indexMergedBlocks() {
+  mergedCells.clear();
+  getMergedBlocks().forEach((block) => {
+    for (let x = block.minX; x <= block.maxX; x++) {
+      for (let y = block.minY; y <= block.maxY; y++) {
+        for (let z = block.minZ; z <= block.maxZ; z++) {
+          mergedCells.set(`${x},${y},${z}`, block);
+        }
+      }
+    }
+  });
+  mergeLayoutDirty = false;
+}
+
+// Center and size a cell is drawn with, or null for a cell hidden by a merge
+function getCellBounds(x, y, z) {
+  const key = `${x},${y},${z}`;
+  const block = mergedCells.get(key);
+  if (block) {
+    return block.key === key ? getBoxBounds(block) : null;
+  }
+  return {
+    ...getCellCenter(x, y, z),
+    width: getColumnWidth(x),
+    height: getRowHeight(y),
+    depth: getLayerDepth(z),
+  };
+}
+
+// Set the size of a column, row or layer (null restores the default)
+function setLayoutSize(sizes, index, size) {
+  if (size === null || size === undefined) {
+    delete sizes[index];
+  } else {
+    sizes[index] = Math.round(
+      Math.max(MIN_CELL_SIZE, Math.min(MAX_CELL_SIZE, size))
+    );
+  }
+}
+
+// Move every cell, label and text after sizes or hidden rows changed
+function relayoutCells() {
+  columnLefts.length = 1;
+  rowTops.length = 1;
+  layerFronts.length = 1;
+  indexMergedBlocks();
+
+  cellInstances.forEach(({ x, y, z }, index) => {
+    const key = `${x},${y},${z}`;
+    const center = getCellBounds(x, y, z) || getCellCenter(x, y, z);
+    Object.assign(cellOriginalPositions.get(key), {
+      x: center.x,
+      y: center.y,
+      z: center.z,
+    });
+    setCellInstancePosition(index, center.x, center.y, center.z);
+  });
+  textLayoutDirty = true;
+  commentMarkersDirty = true;
+  chartsDirty = true;
+  updateLabels();
+  renderedViewKey = null; // Sizes changed which cells are in view
+
+  if (selectionStart && selectionEnd) {
+    selectCubicRegion(selectionStart, selectionEnd);
+  }
+}
+
+// Move a cell instance (fill, colored fill and edges) to a position in the pivot,
+// stretched to its column, row and layer size (or its merged block's). Cells in
+// hidden rows or under a merge shrink to nothing, which also keeps them from
+// being picked.
+function setCellInstancePosition(index, posX, posY, posZ) {
+  const { x, y, z } = cellInstances[index];
+  const bounds = getCellBounds(x, y, z);
+  const hidden = !bounds || bounds.height === 0;
+  const scaleX = hidden ? 0 : bounds.width / CELL_WIDTH;
+  const scaleY = hidden ? 0 : bounds.height / CELL_HEIGHT;
+  const scaleZ = hidden ? 0 : bounds.depth / CELL_DEPTH;
+  cellMatrix.makeScale(scaleX, scaleY, scaleZ).setPosition(posX, posY, posZ);
+  cellFills.setMatrixAt(index, cellMatrix);
+  if (getCellFillColor(`${x},${y},${z}`)) {
+    cellColorFills.setMatrixAt(index, cellMatrix);
+  }
+  const offsets = cellEdges.geometry.getAttribute("instanceOffset");
+  const scales = cellEdges.geometry.getAttribute("instanceScale");
+  offsets.setXYZ(index, posX, posY, posZ);
+  scales.setXYZ(index, scaleX, scaleY, scaleZ);
+
+  cellFills.instanceMatrix.needsUpdate = true;
+  cellColorFills.instanceMatrix.needsUpdate = true;
+  offsets.needsUpdate = true;
+  scales.needsUpdate = true;
+  cellFills.boundingSphere = null; // Recomputed on the next raycast
+}
+
+// Show a cell as empty, holding text, or filled with its background color
+function updateCellAppearance(x, y, z) {
+  const index = getCellInstance(x, y, z);
+  if (index === undefined) return;
+
+  const key = `${x},${y},${z}`;
+  const color = getCellFillColor(key);
+  const opacities = cellFills.geometry.getAttribute("instanceOpacity");
+
+  if (color) {
+    opacities.setX(index, 0); // The lit colored fill replaces the white one
+    cellFills.getMatrixAt(index, cellMatrix);
+    cellColorFills.setMatrixAt(index, cellMatrix);
+    cellColorFills.setColorAt(index, cellColor.set(color));
+    cellColorFills.instanceColor.needsUpdate = true;
+  } else {
+    opacities.setX(
+      index,
+      cellData[key] ? CELL_TEXT_OPACITY : CELL_EMPTY_OPACITY
+    );
+    cellColorFills.setMatrixAt(index, hiddenCellMatrix);
+  }
+  opacities.needsUpdate = true;
+  cellColorFills.instanceMatrix.needsUpdate = true;
+}
+
+// Cells in and around the view: the instances and labels are rebuilt for the
+// region the camera looks at whenever it moves, pans, zooms or rotates out of
+// the region built last time
+const MAX_RENDERED_CELLS = 100000; // Instances built at most, over all layers
+const RENDER_MARGIN = 0.5; // Share of the view built beyond each of its edges
+const VIEW_CORNERS = [
+  new THREE.Vector2(-1, -1),
+  new THREE.Vector2(1, -1),
+  new THREE.Vector2(1, 1),
+  new THREE.Vector2(-1, 1),
+];
+let renderedRegion = { minX: 0, maxX: 0, minY: 0, maxY: 0 }; // Cells with instances, on every layer
+let renderedLayerCount = 0; // GRID_SIZE_Z when the instances were built
+let visibleRegion = renderedRegion; // Cells in view, which get labels
+let renderedViewKey = null; // Camera, rotation and viewport the regions were found for
+
+// Give every cell in the rendered region an instance, replacing the previous ones
+function createCellGrid() {
+  if (!cellGeometry) {
+    createCellMaterials();
+  }
+
+  const { minX, maxX, minY, maxY } = renderedRegion;
+  const count = (maxX - minX + 1) * (maxY - minY + 1) * GRID_SIZE_Z;
+  if (count > cellCapacity) {
+    allocateCellInstances(
+      Math.min(MAX_RENDERED_CELLS, Math.max(count, cellCapacity * 2))
+    );
+  }
 
+  cellInstances.length = 0;
+  cellIndex.clear();
+  cellOriginalPositions.clear();
   for (let z = 0; z < GRID_SIZE_Z; z++) {
-    for (let y = 0; y < GRID_SIZE_Y; y++) {
-      for (let x = 0; x < GRID_SIZE_X; x++) {
-        // Create cell mesh with subtle white fill (no lighting by default)
-        const cellMaterial = new THREE.MeshBasicMaterial({
-          color: 0xffffff,
-          transparent: true,
-          opacity: 0.1, // 10% opaque for visibility
-          depthWrite: false, // Don't write to depth buffer to reduce z-fighting
-          side: THREE.DoubleSide,
-        });
-        const cellMesh = new THREE.Mesh(cellGeometry, cellMaterial);
-        cellMesh.renderOrder = 1; // Render cells before edges
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        const key = `${x},${y},${z}`;
+        const index = cellInstances.length;
+        cellInstances.push({ x, y, z, type: "cell" });
+        cellIndex.set(key, index);
 
         // Position cell from top-left corner with offset for labels
-        const posX = LABEL_OFFSET_X + x * CELL_WIDTH + CELL_WIDTH / 2;
-        const posY = -LABEL_OFFSET_Y - y * CELL_HEIGHT - CELL_HEIGHT / 2;
-        const posZ = z * CELL_DEPTH + CELL_DEPTH / 2;
-
-        cellMesh.position.set(posX, posY, posZ);
-        cellMesh.userData = { x, y, z, type: "cell" };
-
-        // Create edges
-        const edgeMaterial = new THREE.LineBasicMaterial({
-          color: 0xbbbbbb,
-          linewidth: 1,
-          depthTest: true,
-        });
-        const edges = new THREE.LineSegments(edgesGeometry, edgeMaterial);
-        edges.renderOrder = 2; // Render edges after cell fill
-        edges.visible = !bordersHidden; // Respect current border visibility state
-        cellMesh.add(edges);
-
-        pivot.add(cellMesh);
-        cellMeshes.push(cellMesh);
+        const {
+          x: posX,
+          y: posY,
+          z: posZ,
+        } = getCellBounds(x, y, z) || getCellCenter(x, y, z);
 
         // Store original position for 4D projection
-        const key = `${x},${y},${z}`;
         cellOriginalPositions.set(key, {
           x: posX,
           y: posY,
           z: posZ,
           w: z * 200 + x * 10 + y * 10, // W coordinate with varied depth for more psychedelic effect
         });
+
+        setCellInstancePosition(index, posX, posY, posZ);
+        updateCellAppearance(x, y, z);
       }
     }
   }
+  renderedLayerCount = GRID_SIZE_Z;
+
+  cellFills.count = count;
+  cellColorFills.count = count;
+  cellEdges.geometry.instanceCount = count;
 }
 
-function createLabels() {
-  // Column labels (A, B, C, ...) - positioned at the TOP, aligned with cell columns
-  for (let x = 0; x < GRID_SIZE_X; x++) {
-    const label = columnToLetter(x);
-    const posX = LABEL_OFFSET_X + x * CELL_WIDTH + CELL_WIDTH / 2; // Aligned with cell center X
-    const posY = -LABEL_OFFSET_Y + CELL_HEIGHT / 2; // Just above the first row
-    const posZ = 0; // At the very front edge (z=0 layer)
+// Columns and rows the camera sees, from where the corners of the screen meet
+// the front and back of the sheet, and the cell in the middle of the screen.
+// Bounds are infinite when a corner looks past the sheet (edge-on views) or
+// meets it beyond the camera's far plane.
+function getViewRegion() {
+  pivot.updateWorldMatrix(true, false);
+  const toPivot = pivot.matrixWorld.clone().invert();
+  const raycaster = new THREE.Raycaster();
+  const planes = [0, getLayerFront(GRID_SIZE_Z)].map(
+    (z) => new THREE.Plane(new THREE.Vector3(0, 0, 1), -z)
+  );
+  const hitPlane = (corner, plane) => {
+    raycaster.setFromCamera(corner, camera);
+    const { ray } = raycaster;
+    const point = ray
+      .applyMatrix4(toPivot)
+      .intersectPlane(plane, new THREE.Vector3());
+    return point && point.distanceTo(ray.origin) <= camera.far ? point : null;
+  };
+  const getColumn = (x) =>
+    getLayoutIndexAt(
+      columnLefts,
+      x - LABEL_OFFSET_X,
+      getColumnWidth,
+      MAX_GRID_COLUMNS
+    );
+  const getRow = (y) =>
+    getLayoutIndexAt(rowTops, -y - LABEL_OFFSET_Y, getRowHeight, MAX_GRID_ROWS);
+
+  const center =
+    hitPlane(new THREE.Vector2(0, 0), planes[0]) ||
+    camera.position.clone().applyMatrix4(toPivot);
+  const region = {
+    minX: Infinity,
+    maxX: -Infinity,
+    minY: Infinity,
+    maxY: -Infinity,
+    centerX: getColumn(center.x),
+    centerY: getRow(center.y),
+  };
+  VIEW_CORNERS.forEach((corner) => {
+    planes.forEach((plane) => {
+      const point = hitPlane(corner, plane);
+      if (!point) {
+        Object.assign(region, {
+          minX: -Infinity,
+          maxX: Infinity,
+          minY: -Infinity,
+          maxY: Infinity,
+        });
+        return;
+      }
+      const x = getColumn(point.x);
+      const y = getRow(point.y);
+      region.minX = Math.min(region.minX, x);
+      region.maxX = Math.max(region.maxX, x);
+      region.minY = Math.min(region.minY, y);
+      region.maxY = Math.max(region.maxY, y);
+    });
+  });
+  return region;
+}
 
-    const sprite = createLabelSprite(label, 64, "#111111");
-    sprite.position.set(posX, posY, posZ);
-    sprite.userData = { type: "label" };
-    pivot.add(sprite);
-    labelSprites.push(sprite);
+// A view region grown by `margin` of its size on every side and clamped to
+// the sheet. When it holds too many cells (zoomed far out or looking along
+// the sheet), the cells nearest the middle of the screen are kept.
+function fitRegion(view, margin) {
+  const cellsPerLayer = Math.floor(MAX_RENDERED_CELLS / GRID_SIZE_Z);
+  const padX = Math.ceil((view.maxX - view.minX + 1) * margin);
+  const padY = Math.ceil((view.maxY - view.minY + 1) * margin);
+  let region = {
+    minX: view.minX - padX,
+    maxX: view.maxX + padX,
+    minY: view.minY - padY,
+    maxY: view.maxY + padY,
+  };
+  const width = region.maxX - region.minX + 1;
+  const height = region.maxY - region.minY + 1;
+  if (!(width * height <= cellsPerLayer)) {
+    const ratio = Number.isFinite(width * height)
+      ? width / height
+      : CELL_HEIGHT / CELL_WIDTH;
+    const columns = Math.max(
+      1,
+      Math.min(cellsPerLayer, Math.floor(Math.sqrt(cellsPerLayer * ratio)))
+    );
+    const rows = Math.max(1, Math.floor(cellsPerLayer / columns));
+    const minX = Math.max(
+      0,
+      Math.min(
+        MAX_GRID_COLUMNS - columns,
+        view.centerX - Math.floor(columns / 2)
+      )
+    );
+    const minY = Math.max(
+      0,
+      Math.min(MAX_GRID_ROWS - rows, view.centerY - Math.floor(rows / 2))
+    );
+    region = {
+      minX,
+      maxX: minX + columns - 1,
+      minY,
+      maxY: minY + rows - 1,
+    };
   }
+  return {
+    minX: Math.max(0, region.minX),
+    maxX: Math.min(MAX_GRID_COLUMNS - 1, region.maxX),
+    minY: Math.max(0, region.minY),
+    maxY: Math.min(MAX_GRID_ROWS - 1, region.maxY),
+  };
+}
 
-  // Row labels (1, 2, 3, ...) - positioned on the LEFT, aligned with cell rows
-  for (let y = 0; y < GRID_SIZE_Y; y++) {
-    const label = (y + 1).toString();
-    const posX = LABEL_OFFSET_X - CELL_WIDTH / 2; // Just to the left of the first column
-    const posY = -LABEL_OFFSET_Y - y * CELL_HEIGHT - CELL_HEIGHT / 2; // Aligned with cell center Y
-    const posZ = 0; // At the very front edge (z=0 layer)
+function regionContains(outer, inner) {
+  return (
+    inner.minX >= outer.minX &&
+    inner.maxX <= outer.maxX &&
+    inner.minY >= outer.minY &&
+    inner.maxY <= outer.maxY
+  );
+}
 
-    const sprite = createLabelSprite(label, 64, "#111111");
-    sprite.position.set(posX, posY, posZ);
-    sprite.userData = { type: "label" };
-    pivot.add(sprite);
-    labelSprites.push(sprite);
+// Camera, rotation and viewport the visible cells depend on
+function getViewKey() {
+  return [
+    camera.uuid,
+    ...camera.position.toArray(),
+    camera.zoom,
+    pivot.rotation.x,
+    pivot.rotation.y,
+    pivot.rotation.z,
+    window.innerWidth,
+    window.innerHeight,
+    GRID_SIZE_Z,
+  ].join();
+}
+
+// Label the cells in view, and rebuild the instances when the view left the
+// rendered region (or layers were added)
+function updateRenderedRegion() {
+  const view = getViewRegion();
+  visibleRegion = fitRegion(view, 0);
+  if (
+    renderedLayerCount !== GRID_SIZE_Z ||
+    !regionContains(renderedRegion, visibleRegion)
+  ) {
+    renderedRegion = fitRegion(view, RENDER_MARGIN);
+    if (!regionContains(renderedRegion, visibleRegion)) {
+      renderedRegion = visibleRegion;
+    }
+    createCellGrid();
+    textLayoutDirty = true;
   }
+  updateLabels();
+}
 
-  // Z-axis labels (I, II, III, IV, V...) - positioned at the BOTTOM, aligned with depth layers
-  for (let z = 0; z < GRID_SIZE_Z; z++) {
-    const label = toRomanNumeral(z);
-    const posX = LABEL_OFFSET_X - CELL_WIDTH / 2; // Aligned with row labels on the left
-    const posY = -LABEL_OFFSET_Y - GRID_SIZE_Y * CELL_HEIGHT - CELL_HEIGHT / 2; // Below the last row
-    const posZ = z * CELL_DEPTH + CELL_DEPTH / 2; // Aligned with each Z layer
-
-    const sprite = createLabelSprite(label, 64, "#111111");
-    sprite.position.set(posX, posY, posZ);
-    sprite.userData = { type: "label" };
+// Cell under the mouse pointer, with the world point that was hit
+function getCellAtPointer(event) {
+  const raycaster = new THREE.Raycaster();
+  raycaster.setFromCamera(getMouseCoordinates(event), camera);
+
+  const intersects = raycaster.intersectObject(cellFills, false);
+  if (intersects.length === 0) return null;
+  return {
+    cell: cellInstances[intersects[0].instanceId],
+    point: intersects[0].point,
+  };
+}
+
+// Whether the cell at (x, y, z) is on the sheet; adds layers up to z if needed
+function ensureGridExtent(x, y, z) {
+  if (!isOnSheet(x, y, z)) return false;
+  if (z >= GRID_SIZE_Z) {
+    GRID_SIZE_Z = z + 1;
+    updateRenderedRegion();
+  }
+  return true;
+}
+
+// Add layers to cover every cell key in the given maps
+function ensureGridExtentForKeys(keys) {
+  let maxZ = 0;
+  keys.forEach((key) => {
+    const z = Number(key.split(",")[2]);
+    if (z < MAX_GRID_LAYERS) maxZ = Math.max(maxZ, z);
+  });
+  ensureGridExtent(0, 0, maxZ);
+}
+
+// Pan the camera so a cell is on screen (the camera always looks down -Z);
+// with `center` it moves to the middle of the view even if it was visible
+function scrollCellIntoView(x, y, z, center = false) {
+  const bounds = getCellBounds(x, y, z) || getCellCenter(x, y, z);
+  pivot.updateWorldMatrix(true, false);
+  const worldPosition = pivot.localToWorld(
+    new THREE.Vector3(bounds.x, bounds.y, bounds.z)
+  );
+  const projected = worldPosition.clone().project(camera);
+
+  if (center || Math.abs(projected.x) > 0.9) {
+    camera.position.x = worldPosition.x;
+  }
+  if (center || Math.abs(projected.y) > 0.9) {
+    camera.position.y = worldPosition.y;
+  }
+}
+
+// Axis labels for the columns and rows in view and for every layer
+const columnLabels = new Map(); // x -> sprite
+const rowLabels = new Map(); // y -> sprite
+const layerLabels = new Map(); // z -> sprite
+
+function removeLabelSprite(sprite) {
+  pivot.remove(sprite);
+  sprite.material.map.dispose();
+  sprite.material.dispose();
+}
+
+// Keep one label per index from min to max, recreating those whose text changed
+function syncLabels(labels, min, max, getText) {
+  labels.forEach((sprite, index) => {
+    if (index < min || index > max || sprite.userData.text !== getText(index)) {
+      removeLabelSprite(sprite);
+      labels.delete(index);
+    }
+  });
+  for (let index = min; index <= max; index++) {
+    if (labels.has(index)) continue;
+    const text = getText(index);
+    const sprite = createLabelSprite(text, 64, "#111111");
+    sprite.userData = { type: "label", text };
     pivot.add(sprite);
-    labelSprites.push(sprite);
+    labels.set(index, sprite);
   }
 }
 
+// Add and drop labels for the cells in view and move them into place
+function updateLabels() {
+  const { minX, maxX, minY, maxY } = visibleRegion;
+  syncLabels(columnLabels, minX, maxX, columnToLetter);
+  syncLabels(rowLabels, minY, maxY, (y) => (y + 1).toString());
+  syncLabels(layerLabels, 0, GRID_SIZE_Z - 1, getLayerLabel);
+
+  // Column labels (A, B, C, ...) - at the TOP, just above the first row, at the front edge
+  columnLabels.forEach((sprite, x) => {
+    sprite.position.set(
+      getCellCenter(x, 0, 0).x,
+      -LABEL_OFFSET_Y + CELL_HEIGHT / 2,
+      0
+    );
+  });
+
+  // Row labels (1, 2, 3, ...) - on the LEFT of the first column; filtered out rows have none
+  rowLabels.forEach((sprite, y) => {
+    sprite.visible = !hiddenRows.has(y);
+    sprite.position.set(
+      LABEL_OFFSET_X - CELL_WIDTH / 2,
+      getCellCenter(0, y, 0).y,
+      0
+    );
+  });
+
+  // Z-axis labels (I, II, III, IV, V... or layer names) - below the last row in view
+  const bottom = getCellCenter(0, maxY + 1, 0).y;
+  layerLabels.forEach((sprite, z) => {
+    sprite.position.set(
+      LABEL_OFFSET_X - CELL_WIDTH / 2,
+      bottom,
+      getCellCenter(0, 0, z).z
+    );
+  });
+}
+
+// Layer label: a custom name such as a worksheet name, or the roman numeral
+function getLayerLabel(z) {
+  return layerNames[z] || toRomanNumeral(z);
+}
+
 function columnToLetter(index) {
   let letter = "";
   let num = index;
@@ -323,6 +1064,14 @@ function columnToLetter(index) {
 
 function toRomanNumeral(num) {
   const romanNumerals = [
+    { value: 1000, symbol: "M" },
+    { value: 900, symbol: "CM" },
+    { value: 500, symbol: "D" },
+    { value: 400, symbol: "CD" },
+    { value: 100, symbol: "C" },
+    { value: 90, symbol: "XC" },
+    { value: 50, symbol: "L" },
+    { value: 40, symbol: "XL" },
     { value: 10, symbol: "X" },
     { value: 9, symbol: "IX" },
     { value: 5, symbol: "V" },
@@ -343,6 +1092,31 @@ function toRomanNumeral(num) {
   return result;
 }
 
+// Convert column letters back to a 0-indexed column ("A" -> 0, "AA" -> 26)
+function letterToColumn(letters) {
+  let index = 0;
+  for (const char of letters.toUpperCase()) {
+    index = index * 26 + (char.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+// Convert a roman numeral layer label back to a 0-indexed layer ("II" -> 1)
+function fromRomanNumeral(roman) {
+  const values = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+  const symbols = roman.toUpperCase();
+  let total = 0;
+
+  for (let i = 0; i < symbols.length; i++) {
+    const current = values[symbols[i]];
+    const next = values[symbols[i + 1]] || 0;
+    if (current === undefined) return -1;
+    total += current < next ? -current : current;
+  }
+
+  return total - 1; // Convert 1-indexed to 0-indexed
+}
+
 function createLabelSprite(text, fontSize = 64, color = "#000000") {
   const canvas = document.createElement("canvas");
   const context = canvas.getContext("2d");
@@ -351,8 +1125,13 @@ function createLabelSprite(text, fontSize = 64, color = "#000000") {
   canvas.width = 256;
   canvas.height = 128;
 
-  // Configure text
-  context.font = `${fontSize}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+  // Configure text, shrinking long labels (like worksheet names) to fit
+  let size = fontSize;
+  context.font = `${size}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+  while (context.measureText(text).width > canvas.width - 8 && size > 16) {
+    size -= 4;
+    context.font = `${size}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+  }
   context.fillStyle = color;
   context.textAlign = "center";
   context.textBaseline = "middle";
@@ -395,255 +1174,5076 @@ function getFontFamily(fontName) {
   return fontMap[fontName] || fontMap.arial;
 }
 
-function createTextSprite(
-  text,
-  fontSize = 64,
-  color = "#000000",
-  bold = false,
-  italic = false,
-  strikethrough = false,
-  fontFamily = "arial"
-) {
-  const canvas = document.createElement("canvas");
-  const context = canvas.getContext("2d");
-
-  // Set canvas size
-  canvas.width = 512;
-  canvas.height = 256;
-
-  // Get font family string
-  const fontFamilyStr = getFontFamily(fontFamily);
-
-  // Configure text with formatting
+// Text rendering
+// Cell text is drawn from one shared glyph atlas that stores a signed distance
+// field (SDF) per glyph, with one quad instance per glyph. Distance fields stay
+// sharp at any zoom, and updating a cell only lays out quads again: glyphs are
+// rasterized once per font, so memory stays flat.
+const SDF_FONT_SIZE = 48; // Size glyphs are rasterized at (px)
+const SDF_BUFFER = 6; // Padding around each glyph (px)
+const SDF_RADIUS = 12; // Distance range encoded in the atlas (px)
+const SDF_CUTOFF = 0.25; // Share of the range that lies inside the glyph edge
+const SDF_INFINITY = 1e20; // Finite, so the distance transform never computes Infinity - Infinity
+const GLYPH_ATLAS_WIDTH = 1024;
+const GLYPH_ATLAS_MAX_HEIGHT = 4096;
+const GLYPH_SOLID_RECT = [2, 2, 4, 4]; // Atlas pixels that are fully inside (for strikethrough)
+const TEXT_BOX_WIDTH = 512; // Text is laid out in a 512x256 px box centred on a default cell
+const TEXT_BOX_HEIGHT = 256;
+const TEXT_BOX_SHARE = 0.8; // Share of the cell width the text box takes up
+const TEXT_SCALE_X = (CELL_WIDTH * TEXT_BOX_SHARE) / TEXT_BOX_WIDTH; // World units per text box px
+const TEXT_SCALE_Y = (CELL_HEIGHT * 1.2) / TEXT_BOX_HEIGHT;
+const TEXT_PADDING_Y = 12; // Gap between top/bottom aligned text and the cell edge (px)
+const TEXT_LINE_SPACING = 1.15; // Line height of wrapped text, relative to font size
+
+const glyphAtlas = {
+  data: null, // Uint8Array of distances, one byte per pixel
+  height: 0,
+  texture: null,
+  cursorX: 0,
+  cursorY: 0,
+  rowHeight: 0,
+  generation: 0, // Bumped when the atlas is cleared, invalidating laid out text
+};
+const glyphCache = new Map(); // font + "\n" + char -> glyph
+const fontMetricsCache = new Map(); // font -> { ascent, descent }
+const cellTextLayouts = new Map(); // "x,y,z" -> text, style and glyph quads of a cell
+let glyphContext = null;
+let textMesh = null;
+let textInstanceCapacity = 0;
+let textLayoutDirty = false;
+
+function getTextFont(bold, italic, fontFamily) {
   let fontStyle = "";
   if (italic) fontStyle += "italic ";
   if (bold) fontStyle += "bold ";
+  return `${fontStyle}${SDF_FONT_SIZE}px ${getFontFamily(fontFamily)}`;
+}
 
-  context.font = `${fontStyle}${fontSize}px ${fontFamilyStr}`;
-  context.fillStyle = color;
-  context.textAlign = "center";
-  context.textBaseline = "middle";
+function getGlyphContext() {
+  if (!glyphContext) {
+    const canvas = document.createElement("canvas");
+    canvas.width = SDF_FONT_SIZE * 4;
+    canvas.height = SDF_FONT_SIZE * 2;
+    glyphContext = canvas.getContext("2d", { willReadFrequently: true });
+  }
+  return glyphContext;
+}
 
-  // Draw text
-  context.fillText(text, canvas.width / 2, canvas.height / 2);
+function getFontMetrics(font) {
+  if (!fontMetricsCache.has(font)) {
+    const context = getGlyphContext();
+    context.font = font;
+    const metrics = context.measureText("M");
+    fontMetricsCache.set(font, {
+      ascent: metrics.fontBoundingBoxAscent ?? SDF_FONT_SIZE * 0.8,
+      descent: metrics.fontBoundingBoxDescent ?? SDF_FONT_SIZE * 0.2,
+    });
+  }
+  return fontMetricsCache.get(font);
+}
 
-  // Draw strikethrough line if enabled
-  if (strikethrough) {
-    const textMetrics = context.measureText(text);
-    const textWidth = textMetrics.width;
-    const centerX = canvas.width / 2;
-    const centerY = canvas.height / 2;
+// One-dimensional squared distance transform (Felzenszwalb & Huttenlocher)
+function distanceTransform1D(grid, offset, stride, length, f, v, z) {
+  v[0] = 0;
+  z[0] = -SDF_INFINITY;
+  z[1] = SDF_INFINITY;
+  f[0] = grid[offset];
+
+  for (let q = 1, k = 0, s = 0; q < length; q++) {
+    f[q] = grid[offset + q * stride];
+    const q2 = q * q;
+    do {
+      const r = v[k];
+      s = (f[q] - f[r] + q2 - r * r) / (q - r) / 2;
+    } while (s <= z[k] && --k > -1);
+
+    k++;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = SDF_INFINITY;
+  }
 
-    context.strokeStyle = color;
-    context.lineWidth = fontSize / 20;
-    context.beginPath();
-    context.moveTo(centerX - textWidth / 2, centerY);
-    context.lineTo(centerX + textWidth / 2, centerY);
-    context.stroke();
+  for (let q = 0, k = 0; q < length; q++) {
+    while (z[k + 1] < q) k++;
+    const r = v[k];
+    grid[offset + q * stride] = f[r] + (q - r) * (q - r);
   }
+}
 
-  // Create texture
-  const texture = new THREE.CanvasTexture(canvas);
-  texture.needsUpdate = true;
+// Turn rendered glyph coverage (RGBA pixels) into a distance field byte per pixel
+function computeDistanceField(pixels, width, height) {
+  const size = width * height;
+  const outer = new Float64Array(size).fill(SDF_INFINITY);
+  const inner = new Float64Array(size);
+
+  for (let i = 0; i < size; i++) {
+    const alpha = pixels[i * 4 + 3] / 255;
+    if (alpha === 0) continue;
+    if (alpha === 1) {
+      outer[i] = 0;
+      inner[i] = SDF_INFINITY;
+    } else {
+      // Anti-aliased edge pixels give sub-pixel distances
+      const d = 0.5 - alpha;
+      outer[i] = d > 0 ? d * d : 0;
+      inner[i] = d < 0 ? d * d : 0;
+    }
+  }
 
-  // Create sprite
-  const spriteMaterial = new THREE.SpriteMaterial({
-    map: texture,
-    depthTest: false, // Render on top
-    depthWrite: false,
+  const length = Math.max(width, height);
+  const f = new Float64Array(length);
+  const v = new Uint16Array(length);
+  const z = new Float64Array(length + 1);
+  [outer, inner].forEach((grid) => {
+    for (let x = 0; x < width; x++) {
+      distanceTransform1D(grid, x, width, height, f, v, z);
+    }
+    for (let y = 0; y < height; y++) {
+      distanceTransform1D(grid, y * width, 1, width, f, v, z);
+    }
   });
-  const sprite = new THREE.Sprite(spriteMaterial);
-  sprite.scale.set(CELL_WIDTH * 0.8, CELL_HEIGHT * 1.2, 1); // Readable size
-  sprite.renderOrder = 999; // Render after everything else
 
-  return sprite;
+  const distances = new Uint8ClampedArray(size);
+  for (let i = 0; i < size; i++) {
+    const d = Math.sqrt(outer[i]) - Math.sqrt(inner[i]);
+    distances[i] = Math.round(255 - 255 * (d / SDF_RADIUS + SDF_CUTOFF));
+  }
+  return distances;
+}
+
+// Clear the atlas, keeping only the solid block used for strikethrough lines
+function resetGlyphAtlas(height = 1024) {
+  glyphAtlas.data = new Uint8Array(GLYPH_ATLAS_WIDTH * height);
+  glyphAtlas.height = height;
+  glyphAtlas.cursorX = 8;
+  glyphAtlas.cursorY = 0;
+  glyphAtlas.rowHeight = 8;
+  glyphAtlas.generation++;
+  for (let y = 0; y < 8; y++) {
+    glyphAtlas.data.fill(255, y * GLYPH_ATLAS_WIDTH, y * GLYPH_ATLAS_WIDTH + 8);
+  }
+  glyphCache.clear();
+  createGlyphAtlasTexture();
+}
+
+function createGlyphAtlasTexture() {
+  if (glyphAtlas.texture) {
+    glyphAtlas.texture.dispose();
+  }
+  const texture = new THREE.DataTexture(
+    glyphAtlas.data,
+    GLYPH_ATLAS_WIDTH,
+    glyphAtlas.height,
+    THREE.RedFormat,
+    THREE.UnsignedByteType
+  );
+  texture.minFilter = THREE.LinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.unpackAlignment = 1;
+  texture.needsUpdate = true;
+  glyphAtlas.texture = texture;
+
+  if (textMesh) {
+    textMesh.material.uniforms.atlas.value = texture;
+    textMesh.material.uniforms.atlasSize.value.set(
+      GLYPH_ATLAS_WIDTH,
+      glyphAtlas.height
+    );
+  }
+}
+
+// Find room for a width x height glyph; grows the atlas, returns null when full
+function allocateGlyphRect(width, height) {
+  if (glyphAtlas.cursorX + width > GLYPH_ATLAS_WIDTH) {
+    glyphAtlas.cursorX = 0;
+    glyphAtlas.cursorY += glyphAtlas.rowHeight;
+    glyphAtlas.rowHeight = 0;
+  }
+
+  if (glyphAtlas.cursorY + height > glyphAtlas.height) {
+    if (glyphAtlas.height >= GLYPH_ATLAS_MAX_HEIGHT) return null;
+
+    // Double the atlas height; existing glyphs keep their pixel positions
+    const data = new Uint8Array(GLYPH_ATLAS_WIDTH * glyphAtlas.height * 2);
+    data.set(glyphAtlas.data);
+    glyphAtlas.data = data;
+    glyphAtlas.height *= 2;
+    createGlyphAtlasTexture();
+  }
+
+  const rect = { x: glyphAtlas.cursorX, y: glyphAtlas.cursorY };
+  glyphAtlas.cursorX += width;
+  glyphAtlas.rowHeight = Math.max(glyphAtlas.rowHeight, height);
+  return rect;
+}
+
+// Rasterize a glyph into the atlas. Positions are in SDF_FONT_SIZE px:
+// left/top place the bitmap relative to the pen position on the baseline.
+function rasterizeGlyph(char, font) {
+  const context = getGlyphContext();
+  context.font = font;
+  context.textAlign = "left";
+  context.textBaseline = "alphabetic";
+  context.fillStyle = "#000000";
+
+  const metrics = context.measureText(char);
+  const inkLeft = Math.ceil(metrics.actualBoundingBoxLeft);
+  const inkAscent = Math.ceil(metrics.actualBoundingBoxAscent);
+  const width = Math.min(
+    inkLeft + Math.ceil(metrics.actualBoundingBoxRight) + 2 * SDF_BUFFER,
+    context.canvas.width
+  );
+  const height = Math.min(
+    inkAscent + Math.ceil(metrics.actualBoundingBoxDescent) + 2 * SDF_BUFFER,
+    context.canvas.height
+  );
+  const glyph = {
+    advance: metrics.width,
+    left: -inkLeft - SDF_BUFFER,
+    top: inkAscent + SDF_BUFFER,
+    width: 0,
+    height: 0,
+    x: 0,
+    y: 0,
+  };
+  if (width <= 2 * SDF_BUFFER || height <= 2 * SDF_BUFFER) {
+    return glyph; // Whitespace has no ink
+  }
+
+  const rect = allocateGlyphRect(width, height);
+  if (!rect) return { ...glyph, dropped: true }; // Only its advance is kept
+
+  context.clearRect(0, 0, width, height);
+  context.fillText(char, SDF_BUFFER + inkLeft, SDF_BUFFER + inkAscent);
+  const pixels = context.getImageData(0, 0, width, height).data;
+  const distances = computeDistanceField(pixels, width, height);
+  for (let y = 0; y < height; y++) {
+    glyphAtlas.data.set(
+      distances.subarray(y * width, (y + 1) * width),
+      (rect.y + y) * GLYPH_ATLAS_WIDTH + rect.x
+    );
+  }
+  glyphAtlas.texture.needsUpdate = true;
+
+  return { ...glyph, width, height, x: rect.x, y: rect.y };
+}
+
+// Glyph of a character, rasterized on first use. When the atlas is full it is
+// cleared (unless allowReset is false) and text laid out earlier is redone on
+// rebuild; a glyph that still doesn't fit is drawn as blank space.
+function getGlyph(char, font, allowReset = true) {
+  const cacheKey = `${font}\n${char}`;
+  if (!glyphCache.has(cacheKey)) {
+    let glyph = rasterizeGlyph(char, font);
+    if (glyph.dropped && allowReset) {
+      resetGlyphAtlas(glyphAtlas.height);
+      glyph = rasterizeGlyph(char, font);
+    }
+    glyphCache.set(cacheKey, glyph);
+  }
+  return glyphCache.get(cacheKey);
+}
+
+// Split text into lines of glyph indices no wider than maxWidth, breaking
+// at spaces where possible and inside words that don't fit on a line alone
+function wrapGlyphLines(chars, advances, maxWidth) {
+  const lines = [];
+  let line = [];
+  let lineWidth = 0;
+  let lastSpace = -1; // Position of the last space in the current line
+
+  chars.forEach((char, i) => {
+    if (char === "\n") {
+      lines.push(line);
+      line = [];
+      lineWidth = 0;
+      lastSpace = -1;
+      return;
+    }
+    if (char !== " " && line.length > 0 && lineWidth + advances[i] > maxWidth) {
+      if (lastSpace >= 0) {
+        lines.push(line.slice(0, lastSpace));
+        line = line.slice(lastSpace + 1);
+      } else {
+        lines.push(line);
+        line = [];
+      }
+      lineWidth = line.reduce((total, j) => total + advances[j], 0);
+      lastSpace = -1;
+    }
+    if (char === " ") {
+      lastSpace = line.length;
+    }
+    line.push(i);
+    lineWidth += advances[i];
+  });
+  lines.push(line);
+  return lines;
+}
+
+// Glyph quads of a text, placed in a cell of the given size (world units) by
+// the style's alignment. Each quad is [x, y, width, height] in world units
+// relative to the cell centre, followed by its atlas pixel rect
+// [u, v, width, height]. Also returns the size the text needs in px.
+function layoutText(text, style, cellWidth, cellHeight, allowReset = true) {
+  const font = getTextFont(style.bold, style.italic, style.fontFamily);
+  const chars = Array.from(text);
+  let generation = glyphAtlas.generation;
+  let glyphs = chars.map((char) => getGlyph(char, font, allowReset));
+  if (glyphAtlas.generation !== generation) {
+    // The atlas was cleared halfway through: look the glyphs up once more
+    // without clearing it again (text needing more glyphs than the atlas holds
+    // loses the ones that don't fit)
+    generation = glyphAtlas.generation;
+    glyphs = chars.map((char) => getGlyph(char, font, false));
+  }
+
+  const boxWidth = (cellWidth * TEXT_BOX_SHARE) / TEXT_SCALE_X;
+  const boxHeight = cellHeight / TEXT_SCALE_Y;
+
+  let scale = style.fontSize / SDF_FONT_SIZE;
+  let advances = glyphs.map((glyph) => glyph.advance * scale);
+  const textWidth = advances.reduce((total, advance) => total + advance, 0);
+  if (style.wrap === "shrink" && textWidth > boxWidth) {
+    const shrink = boxWidth / textWidth;
+    scale *= shrink;
+    advances = advances.map((advance) => advance * shrink);
+  }
+
+  const lines =
+    style.wrap === "wrap"
+      ? wrapGlyphLines(chars, advances, boxWidth)
+      : [chars.map((char, i) => i)];
+  const { ascent, descent } = getFontMetrics(font);
+  const lineHeight = style.fontSize * TEXT_LINE_SPACING;
+  const blockHeight = (lines.length - 1) * lineHeight + (ascent + descent) * scale;
+
+  // Top of the text block, px below the cell centre
+  const cellTop = -boxHeight / 2;
+  let blockTop = -blockHeight / 2;
+  if (style.verticalAlign === "top") {
+    blockTop = cellTop + TEXT_PADDING_Y;
+  } else if (style.verticalAlign === "bottom") {
+    blockTop = -cellTop - TEXT_PADDING_Y - blockHeight;
+  }
+
+  const quads = [];
+  let widestLine = 0;
+  lines.forEach((line, lineNumber) => {
+    const baseline = blockTop + ascent * scale + lineNumber * lineHeight;
+    // Wrapped lines that fall outside the cell are clipped
+    const lineMiddle = baseline - ((ascent - descent) / 2) * scale;
+    if (lineNumber > 0 && Math.abs(lineMiddle) > boxHeight / 2) {
+      return;
+    }
+
+    // Trailing spaces don't count towards the aligned width
+    let end = line.length;
+    while (end > 0 && chars[line[end - 1]] === " ") end--;
+    const lineWidth = line
+      .slice(0, end)
+      .reduce((total, i) => total + advances[i], 0);
+    widestLine = Math.max(widestLine, lineWidth);
+
+    let penX = -lineWidth / 2;
+    if (style.align === "left") {
+      penX = -boxWidth / 2;
+    } else if (style.align === "right") {
+      penX = boxWidth / 2 - lineWidth;
+    }
+    const lineLeft = penX;
+
+    line.forEach((i) => {
+      const glyph = glyphs[i];
+      const left = penX + glyph.left * scale;
+      const width = glyph.width * scale;
+      penX += advances[i];
+
+      // Glyphs outside the text box are clipped, like on a canvas
+      if (
+        glyph.width === 0 ||
+        Math.abs(left + width / 2) > boxWidth / 2
+      ) {
+        return;
+      }
+      const top = baseline - glyph.top * scale;
+      const height = glyph.height * scale;
+      quads.push(
+        left * TEXT_SCALE_X,
+        -(top + height) * TEXT_SCALE_Y,
+        width * TEXT_SCALE_X,
+        height * TEXT_SCALE_Y,
+        glyph.x,
+        glyph.y,
+        glyph.width,
+        glyph.height
+      );
+    });
+
+    if (style.strikethrough && lineWidth > 0) {
+      const thickness = style.fontSize / 20;
+      const strikeLeft = Math.max(lineLeft, -boxWidth / 2);
+      const strikeRight = Math.min(lineLeft + lineWidth, boxWidth / 2);
+      quads.push(
+        strikeLeft * TEXT_SCALE_X,
+        -(lineMiddle + thickness / 2) * TEXT_SCALE_Y,
+        (strikeRight - strikeLeft) * TEXT_SCALE_X,
+        thickness * TEXT_SCALE_Y,
+        ...GLYPH_SOLID_RECT
+      );
+    }
+  });
+
+  // Shrunk text would need its full width to show at its font size
+  return {
+    quads,
+    generation,
+    textWidth: style.wrap === "shrink" ? textWidth : widestLine,
+    textHeight: blockHeight,
+  };
+}
+
+function createTextMesh() {
+  resetGlyphAtlas();
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      atlas: { value: glyphAtlas.texture },
+      atlasSize: {
+        value: new THREE.Vector2(GLYPH_ATLAS_WIDTH, glyphAtlas.height),
+      },
+    },
+    vertexShader: `
+      attribute vec3 instanceAnchor;
+      attribute vec4 instanceRect;
+      attribute vec4 instanceUv;
+      attribute vec3 instanceColor;
+      uniform vec2 atlasSize;
+      varying vec2 vUv;
+      varying vec3 vColor;
+
+      void main() {
+        // Billboard: offset the quad in view space so it always faces the camera
+        vec2 corner = position.xy + 0.5;
+        vec4 mvPosition = modelViewMatrix * vec4(instanceAnchor, 1.0);
+        mvPosition.xy += instanceRect.xy + corner * instanceRect.zw;
+        gl_Position = projectionMatrix * mvPosition;
+
+        vUv = (instanceUv.xy + vec2(corner.x, 1.0 - corner.y) * instanceUv.zw) / atlasSize;
+        vColor = instanceColor;
+      }
+    `,
+    fragmentShader: `
+      uniform sampler2D atlas;
+      varying vec2 vUv;
+      varying vec3 vColor;
+
+      void main() {
+        float distance = texture2D(atlas, vUv).r;
+        float edge = ${(1 - SDF_CUTOFF).toFixed(2)};
+        float smoothing = max(fwidth(distance) * 0.7, 0.001);
+        float alpha = smoothstep(edge - smoothing, edge + smoothing, distance);
+        if (alpha <= 0.0) discard;
+        gl_FragColor = vec4(vColor, alpha);
+        #include <colorspace_fragment>
+      }
+    `,
+    transparent: true,
+    depthTest: false, // Render on top
+    depthWrite: false,
+  });
+
+  textMesh = new THREE.Mesh(new THREE.InstancedBufferGeometry(), material);
+  textMesh.frustumCulled = false;
+  textMesh.renderOrder = 999; // Render after everything else
+  allocateTextInstances(1024);
+  pivot.add(textMesh);
+}
+
+function allocateTextInstances(capacity) {
+  const plane = new THREE.PlaneGeometry(1, 1);
+  const geometry = new THREE.InstancedBufferGeometry();
+  geometry.index = plane.index;
+  geometry.setAttribute("position", plane.getAttribute("position"));
+  [
+    ["instanceAnchor", 3],
+    ["instanceRect", 4],
+    ["instanceUv", 4],
+    ["instanceColor", 3],
+  ].forEach(([name, itemSize]) => {
+    const attribute = new THREE.InstancedBufferAttribute(
+      new Float32Array(capacity * itemSize),
+      itemSize
+    );
+    attribute.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute(name, attribute);
+  });
+  geometry.instanceCount = 0;
+
+  textMesh.geometry.dispose();
+  textMesh.geometry = geometry;
+  textInstanceCapacity = capacity;
+}
+
+// Size of the box a cell's text is laid out in: the whole block for the anchor
+// of a merged block, otherwise the cell's own size (even in a hidden row)
+function getTextBoxSize(x, y, z) {
+  const key = `${x},${y},${z}`;
+  const block = mergedCells.get(key);
+  if (block && block.key === key) {
+    const { width, height } = getBoxBounds(block);
+    return { width, height };
+  }
+  return { width: getColumnWidth(x), height: rowHeights[y] || CELL_HEIGHT };
+}
+
+// Lay out a cell's text; quads are collected on the next frame
+function setCellTextLayout(x, y, z, text, style) {
+  const { width, height } = getTextBoxSize(x, y, z);
+  cellTextLayouts.set(`${x},${y},${z}`, {
+    x,
+    y,
+    z,
+    text,
+    style,
+    width,
+    height,
+    color: new THREE.Color(style.color),
+    ...layoutText(text, style, width, height),
+  });
+  textLayoutDirty = true;
+}
+
+function removeCellTextLayout(key) {
+  if (cellTextLayouts.delete(key)) {
+    textLayoutDirty = true;
+  }
+}
+
+// Copy every cell's glyph quads into the instance buffers
+function rebuildTextInstances() {
+  textLayoutDirty = false;
+
+  // Only text in the rendered region is drawn. Text laid out before the atlas
+  // was cleared points at stale glyphs, and text of resized cells has to be
+  // aligned and wrapped again.
+  const { minX, maxX, minY, maxY } = renderedRegion;
+  const rendered = [];
+  cellTextLayouts.forEach((layout) => {
+    const { x, y } = layout;
+    if (x >= minX && x <= maxX && y >= minY && y <= maxY) {
+      rendered.push(layout);
+    }
+  });
+  const relayout = (allowReset) => {
+    rendered.forEach((layout) => {
+      const { width, height } = getTextBoxSize(layout.x, layout.y, layout.z);
+      if (
+        layout.generation !== glyphAtlas.generation ||
+        layout.width !== width ||
+        layout.height !== height
+      ) {
+        Object.assign(
+          layout,
+          { width, height },
+          layoutText(layout.text, layout.style, width, height, allowReset)
+        );
+      }
+    });
+  };
+  const generation = glyphAtlas.generation;
+  relayout(true);
+  if (glyphAtlas.generation !== generation) {
+    // The atlas was cleared partway through: redo the text laid out before,
+    // this time without clearing it again
+    relayout(false);
+  }
+
+  // Text in hidden rows and under merged blocks isn't drawn
+  const visible = [];
+  let count = 0;
+  rendered.forEach((layout) => {
+    const { x, y, z } = layout;
+    const bounds = hiddenRows.has(y) ? null : getCellBounds(x, y, z);
+    if (bounds) {
+      visible.push({ layout, bounds });
+      count += layout.quads.length / 8;
+    }
+  });
+  if (count > textInstanceCapacity) {
+    allocateTextInstances(Math.max(count, textInstanceCapacity * 2));
+  }
+
+  const { attributes } = textMesh.geometry;
+  const anchors = attributes.instanceAnchor.array;
+  const rects = attributes.instanceRect.array;
+  const uvs = attributes.instanceUv.array;
+  const colors = attributes.instanceColor.array;
+  let index = 0;
+  visible.forEach(({ layout, bounds }) => {
+    const { color, quads } = layout;
+    const { x: posX, y: posY, z: posZ } = bounds;
+    for (let i = 0; i < quads.length; i += 8, index++) {
+      anchors.set([posX, posY, posZ], index * 3);
+      rects.set(quads.slice(i, i + 4), index * 4);
+      uvs.set(quads.slice(i + 4, i + 8), index * 4);
+      colors.set([color.r, color.g, color.b], index * 3);
+    }
+  });
+
+  textMesh.geometry.instanceCount = count;
+  ["instanceAnchor", "instanceRect", "instanceUv", "instanceColor"].forEach(
+    (name) => {
+      attributes[name].needsUpdate = true;
+    }
+  );
+}
+
+// Formula engine
+// Cells whose text starts with "=" are evaluated. References can name a layer:
+// A1 (same layer), II!B3 (layer II), A1:C5 (range) and A1:C5:I:III (3D range).
+class FormulaError extends Error {
+  constructor(code) {
+    super(code);
+    this.code = code; // Excel-style error value, e.g. "#DIV/0!"
+  }
+}
+
+const REFERENCE_PATTERN =
+  /^(?:([IVXLCDM]+)!)?(\$?)([A-Z]+)(\$?)(\d+)(?::(\$?)([A-Z]+)(\$?)(\d+)(?::([IVXLCDM]+)(?::([IVXLCDM]+))?)?)?(?![A-Z0-9_(!])/i;
+
+function isFormula(text) {
+  return typeof text === "string" && text.startsWith("=");
+}
+
+// Parse a literal cell value: numeric text becomes a number, the rest stays text
+function parseCellLiteral(text) {
+  if (text === undefined || text === null) return null;
+  const trimmed = text.trim();
+  if (trimmed === "") return null;
+  const numValue = Number(trimmed);
+  return isNaN(numValue) ? text : numValue;
+}
+
+// Turn a reference match into an absolute cubic range relative to the formula cell
+function parseReferenceMatch(match, origin) {
+  const layer = match[1] ? fromRomanNumeral(match[1]) : origin.z;
+  const startX = letterToColumn(match[3]);
+  const startY = parseInt(match[5], 10) - 1;
+  const endX = match[7] ? letterToColumn(match[7]) : startX;
+  const endY = match[9] ? parseInt(match[9], 10) - 1 : startY;
+  const startZ = match[10] ? fromRomanNumeral(match[10]) : layer;
+  const endZ = match[11] ? fromRomanNumeral(match[11]) : startZ;
+
+  const box = {
+    minX: Math.min(startX, endX),
+    maxX: Math.max(startX, endX),
+    minY: Math.min(startY, endY),
+    maxY: Math.max(startY, endY),
+    minZ: Math.min(startZ, endZ),
+    maxZ: Math.max(startZ, endZ),
+  };
+  // Nothing before the first or past the last column, row or layer exists
+  if (
+    layer < 0 ||
+    !isOnSheet(box.minX, box.minY, box.minZ) ||
+    !isOnSheet(box.maxX, box.maxY, box.maxZ)
+  ) {
+    throw new FormulaError("#REF!");
+  }
+  return box;
+}
+
+// Format a cubic range as a reference, as seen from a formula on layer originZ
+function formatRangeReference(range, originZ) {
+  const start = `${columnToLetter(range.minX)}${range.minY + 1}`;
+  const end = `${columnToLetter(range.maxX)}${range.maxY + 1}`;
+  const area = start === end ? start : `${start}:${end}`;
+
+  if (range.minZ !== range.maxZ) {
+    const layers = `${toRomanNumeral(range.minZ)}:${toRomanNumeral(range.maxZ)}`;
+    return `${start}:${end}:${layers}`;
+  }
+  if (range.minZ !== originZ) {
+    return `${toRomanNumeral(range.minZ)}!${area}`;
+  }
+  return area;
+}
+
+function tokenizeFormula(source, origin) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const rest = source.slice(i);
+
+    const whitespace = rest.match(/^\s+/);
+    if (whitespace) {
+      i += whitespace[0].length;
+      continue;
+    }
+
+    if (rest.toUpperCase().startsWith("#REF!")) {
+      // Left behind when a copied reference is shifted off the grid
+      tokens.push({ type: "error", code: "#REF!" });
+      i += 5;
+      continue;
+    }
+
+    const number = rest.match(/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i);
+    if (number) {
+      tokens.push({ type: "number", value: parseFloat(number[0]) });
+      i += number[0].length;
+      continue;
+    }
+
+    if (rest[0] === '"') {
+      // String literal, "" is an escaped quote
+      const string = rest.match(/^"((?:[^"]|"")*)"/);
+      if (!string) throw new FormulaError("#ERROR!");
+      tokens.push({ type: "string", value: string[1].replace(/""/g, '"') });
+      i += string[0].length;
+      continue;
+    }
+
+    const reference = rest.match(REFERENCE_PATTERN);
+    if (reference) {
+      tokens.push({
+        type: "ref",
+        range: parseReferenceMatch(reference, origin),
+      });
+      i += reference[0].length;
+      continue;
+    }
+
+    const identifier = rest.match(/^[A-Z_][A-Z0-9_.]*/i);
+    if (identifier) {
+      tokens.push({ type: "ident", value: identifier[0].toUpperCase() });
+      i += identifier[0].length;
+      continue;
+    }
+
+    const operator = rest.match(/^(<=|>=|<>|[-+*/^&=<>%(),;])/);
+    if (operator) {
+      tokens.push({ type: "op", value: operator[0] });
+      i += operator[0].length;
+      continue;
+    }
+
+    throw new FormulaError("#ERROR!");
+  }
+
+  return tokens;
+}
+
+// Recursive descent parser producing a small AST
+function parseFormula(source, origin) {
+  const tokens = tokenizeFormula(source, origin);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (...values) =>
+    peek() && peek().type === "op" && values.includes(peek().value);
+  const expect = (value) => {
+    if (!isOperator(value)) throw new FormulaError("#ERROR!");
+    position++;
+  };
+
+  function parseComparison() {
+    let node = parseConcat();
+    while (isOperator("=", "<>", "<", ">", "<=", ">=")) {
+      const op = tokens[position++].value;
+      node = { type: "binary", op, left: node, right: parseConcat() };
+    }
+    return node;
+  }
+
+  function parseConcat() {
+    let node = parseAdditive();
+    while (isOperator("&")) {
+      position++;
+      node = { type: "binary", op: "&", left: node, right: parseAdditive() };
+    }
+    return node;
+  }
+
+  function parseAdditive() {
+    let node = parseTerm();
+    while (isOperator("+", "-")) {
+      const op = tokens[position++].value;
+      node = { type: "binary", op, left: node, right: parseTerm() };
+    }
+    return node;
+  }
+
+  function parseTerm() {
+    let node = parsePower();
+    while (isOperator("*", "/")) {
+      const op = tokens[position++].value;
+      node = { type: "binary", op, left: node, right: parsePower() };
+    }
+    return node;
+  }
+
+  // Like Excel, "^" is left-associative (2^3^2 is 64) and binds looser than
+  // a sign (-2^2 is 4)
+  function parsePower() {
+    let node = parsePercent();
+    while (isOperator("^")) {
+      position++;
+      node = { type: "binary", op: "^", left: node, right: parsePercent() };
+    }
+    return node;
+  }
+
+  function parsePercent() {
+    let node = parseUnary();
+    while (isOperator("%")) {
+      position++;
+      node = { type: "percent", operand: node };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isOperator("-", "+")) {
+      const op = tokens[position++].value;
+      return { type: "unary", op, operand: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[position++];
+    if (!token) throw new FormulaError("#ERROR!");
+
+    if (token.type === "number" || token.type === "string") {
+      return { type: "literal", value: token.value };
+    }
+
+    if (token.type === "ref") {
+      return { type: "ref", range: token.range };
+    }
+
+    if (token.type === "error") {
+      return { type: "error", code: token.code };
+    }
+
+    if (token.type === "ident") {
+      if (isOperator("(")) {
+        position++;
+        const args = [];
+        if (!isOperator(")")) {
+          args.push(parseComparison());
+          while (isOperator(",", ";")) {
+            position++;
+            args.push(parseComparison());
+          }
+        }
+        expect(")");
+        return { type: "call", name: token.value, args };
+      }
+      if (token.value === "TRUE" || token.value === "FALSE") {
+        return { type: "literal", value: token.value === "TRUE" };
+      }
+      return { type: "name", name: token.value };
+    }
+
+    if (token.type === "op" && token.value === "(") {
+      const node = parseComparison();
+      expect(")");
+      return node;
+    }
+
+    throw new FormulaError("#ERROR!");
+  }
+
+  const ast = parseComparison();
+  if (position < tokens.length) throw new FormulaError("#ERROR!");
+  return ast;
+}
+
+function toNumber(value) {
+  if (value instanceof FormulaError) throw value;
+  if (value === null) return 0;
+  if (typeof value === "number") return value;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  const trimmed = value.trim();
+  if (trimmed === "") return 0;
+  const numValue = Number(trimmed);
+  if (isNaN(numValue)) throw new FormulaError("#VALUE!");
+  return numValue;
+}
+
+function toText(value) {
+  if (value instanceof FormulaError) throw value;
+  if (value === null) return "";
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  if (typeof value === "number") return formatNumber(value);
+  return value;
+}
+
+function toBoolean(value) {
+  if (value instanceof FormulaError) throw value;
+  if (typeof value === "string") {
+    const upper = value.trim().toUpperCase();
+    if (upper === "TRUE") return true;
+    if (upper === "FALSE") return false;
+  }
+  return toNumber(value) !== 0;
+}
+
+// Collect numbers from function arguments; text and blanks inside ranges are skipped
+function collectNumbers(args) {
+  const numbers = [];
+  args.forEach((arg) => {
+    if (arg && arg.type === "range") {
+      arg.values.forEach((value) => {
+        if (value instanceof FormulaError) throw value;
+        if (typeof value === "number") numbers.push(value);
+      });
+    } else {
+      numbers.push(toNumber(arg));
+    }
+  });
+  return numbers;
+}
+
+function collectValues(args) {
+  const values = [];
+  args.forEach((arg) => {
+    if (arg && arg.type === "range") {
+      values.push(...arg.values);
+    } else {
+      values.push(arg);
+    }
+  });
+  return values;
+}
+
+// Drop the values of rows hidden by the filter from a range argument
+function withoutHiddenRows(arg) {
+  if (!arg || arg.type !== "range" || !arg.range) return arg;
+  const { minX, maxX, minY, maxY } = arg.range;
+  const width = maxX - minX + 1;
+  const height = maxY - minY + 1;
+  return {
+    type: "range",
+    values: arg.values.filter(
+      (value, index) =>
+        !hiddenRows.has(minY + (Math.floor(index / width) % height))
+    ),
+  };
+}
+
+function scalarArgument(arg) {
+  if (arg && arg.type === "range") {
+    if (arg.values.length !== 1) throw new FormulaError("#VALUE!");
+    return arg.values[0];
+  }
+  return arg;
+}
+
+// SUBTOTAL function numbers (1-11, or 101-111) we support
+const SUBTOTAL_FUNCTIONS = {
+  1: "AVERAGE",
+  2: "COUNT",
+  3: "COUNTA",
+  4: "MAX",
+  5: "MIN",
+  6: "PRODUCT",
+  9: "SUM",
+};
+
+const FORMULA_FUNCTIONS = {
+  SUM: (args) => collectNumbers(args).reduce((total, n) => total + n, 0),
+  PRODUCT: (args) => collectNumbers(args).reduce((total, n) => total * n, 1),
+  AVERAGE: (args) => {
+    const numbers = collectNumbers(args);
+    if (numbers.length === 0) throw new FormulaError("#DIV/0!");
+    return numbers.reduce((total, n) => total + n, 0) / numbers.length;
+  },
+  MIN: (args) => {
+    const numbers = collectNumbers(args);
+    return numbers.length ? Math.min(...numbers) : 0;
+  },
+  MAX: (args) => {
+    const numbers = collectNumbers(args);
+    return numbers.length ? Math.max(...numbers) : 0;
+  },
+  COUNT: (args) =>
+    collectValues(args).filter((value) => typeof value === "number").length,
+  COUNTA: (args) =>
+    collectValues(args).filter((value) => value !== null && value !== "")
+      .length,
+  ABS: (args) => Math.abs(toNumber(scalarArgument(args[0]))),
+  SQRT: (args) => {
+    const n = toNumber(scalarArgument(args[0]));
+    if (n < 0) throw new FormulaError("#NUM!");
+    return Math.sqrt(n);
+  },
+  // Halves round away from zero; rounding the scaled value to 15 significant
+  // digits first keeps float artifacts (1.005 * 100 = 100.49999...) out
+  ROUND: (args) => {
+    const n = toNumber(scalarArgument(args[0]));
+    const digits =
+      args.length > 1 ? Math.trunc(toNumber(scalarArgument(args[1]))) : 0;
+    const factor = Math.pow(10, digits);
+    const scaled = Number((Math.abs(n) * factor).toPrecision(15));
+    return (Math.sign(n) * Math.round(scaled)) / factor;
+  },
+  POWER: (args) =>
+    Math.pow(
+      toNumber(scalarArgument(args[0])),
+      toNumber(scalarArgument(args[1]))
+    ),
+  MOD: (args) => {
+    const n = toNumber(scalarArgument(args[0]));
+    const divisor = toNumber(scalarArgument(args[1]));
+    if (divisor === 0) throw new FormulaError("#DIV/0!");
+    return n - divisor * Math.floor(n / divisor);
+  },
+  AND: (args) => collectValues(args).every((value) => toBoolean(value)),
+  OR: (args) => collectValues(args).some((value) => toBoolean(value)),
+  NOT: (args) => !toBoolean(scalarArgument(args[0])),
+  CONCAT: (args) => collectValues(args).map(toText).join(""),
+  LEN: (args) => toText(scalarArgument(args[0])).length,
+  UPPER: (args) => toText(scalarArgument(args[0])).toUpperCase(),
+  LOWER: (args) => toText(scalarArgument(args[0])).toLowerCase(),
+  // Like Excel, rows hidden by a filter never count towards a subtotal
+  SUBTOTAL: (args) => {
+    const name = SUBTOTAL_FUNCTIONS[toNumber(scalarArgument(args[0])) % 100];
+    if (!name || args.length < 2) throw new FormulaError("#VALUE!");
+    return FORMULA_FUNCTIONS[name](args.slice(1).map(withoutHiddenRows));
+  },
+};
+
+// Excel's order: numbers, then text (ignoring case), then logicals; values of
+// different types are never equal. A blank counts as 0, "" or FALSE, whichever
+// matches the other side.
+const COMPARE_TYPE_RANKS = { number: 0, string: 1, boolean: 2 };
+const BLANK_VALUES = { number: 0, string: "", boolean: false };
+
+function compareValues(left, right) {
+  if (left instanceof FormulaError) throw left;
+  if (right instanceof FormulaError) throw right;
+  if (left === null) left = right === null ? 0 : BLANK_VALUES[typeof right];
+  if (right === null) right = BLANK_VALUES[typeof left];
+
+  const rankDifference =
+    COMPARE_TYPE_RANKS[typeof left] - COMPARE_TYPE_RANKS[typeof right];
+  if (rankDifference !== 0) return rankDifference;
+  if (typeof left === "string") {
+    return left.toLowerCase().localeCompare(right.toLowerCase());
+  }
+  return Number(left) - Number(right);
+}
+
+function evaluateNode(node) {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+
+    case "ref": {
+      const { minX, maxX, minY, maxY, minZ, maxZ } = node.range;
+      if (minX === maxX && minY === maxY && minZ === maxZ) {
+        const value = getCellValue(minX, minY, minZ);
+        if (value instanceof FormulaError) throw value;
+        return value;
+      }
+      const values = [];
+      for (let z = minZ; z <= maxZ; z++) {
+        for (let y = minY; y <= maxY; y++) {
+          for (let x = minX; x <= maxX; x++) {
+            values.push(getCellValue(x, y, z));
+          }
+        }
+      }
+      return { type: "range", values, range: node.range };
+    }
+
+    case "name":
+      throw new FormulaError("#NAME?");
+
+    case "error":
+      throw new FormulaError(node.code);
+
+    case "unary": {
+      const value = toNumber(scalarArgument(evaluateNode(node.operand)));
+      return node.op === "-" ? -value : value;
+    }
+
+    case "percent":
+      return toNumber(scalarArgument(evaluateNode(node.operand))) / 100;
+
+    case "binary": {
+      const left = scalarArgument(evaluateNode(node.left));
+      const right = scalarArgument(evaluateNode(node.right));
+      switch (node.op) {
+        case "+":
+          return toNumber(left) + toNumber(right);
+        case "-":
+          return toNumber(left) - toNumber(right);
+        case "*":
+          return toNumber(left) * toNumber(right);
+        case "/": {
+          const divisor = toNumber(right);
+          if (divisor === 0) throw new FormulaError("#DIV/0!");
+          return toNumber(left) / divisor;
+        }
+        case "^":
+          return Math.pow(toNumber(left), toNumber(right));
+        case "&":
+          return toText(left) + toText(right);
+        case "=":
+          return compareValues(left, right) === 0;
+        case "<>":
+          return compareValues(left, right) !== 0;
+        case "<":
+          return compareValues(left, right) < 0;
+        case ">":
+          return compareValues(left, right) > 0;
+        case "<=":
+          return compareValues(left, right) <= 0;
+        case ">=":
+          return compareValues(left, right) >= 0;
+      }
+      throw new FormulaError("#ERROR!");
+    }
+
+    case "call": {
+      // IF is evaluated lazily so the untaken branch can't raise errors
+      if (node.name === "IF") {
+        const condition = toBoolean(scalarArgument(evaluateNode(node.args[0])));
+        const branch = condition ? node.args[1] : node.args[2];
+        if (!branch) return condition;
+        return scalarArgument(evaluateNode(branch));
+      }
+      const fn = FORMULA_FUNCTIONS[node.name];
+      if (!fn) throw new FormulaError("#NAME?");
+      return fn(node.args.map(evaluateNode));
+    }
+  }
+
+  throw new FormulaError("#ERROR!");
+}
+
+// Evaluate the formula stored in a cell, returning a value or a FormulaError
+function evaluateFormulaCell(x, y, z) {
+  const key = `${x},${y},${z}`;
+
+  if (formulaEvaluationStack.has(key)) {
+    return new FormulaError("#CIRC!");
+  }
+
+  formulaEvaluationStack.add(key);
+  try {
+    const ast = parseFormula(cellData[key].slice(1), { x, y, z });
+    const result = scalarArgument(evaluateNode(ast));
+    return result === null ? 0 : result;
+  } catch (error) {
+    if (error instanceof FormulaError) return error;
+    console.error(`Error evaluating formula in cell (${x},${y},${z}):`, error);
+    return new FormulaError("#ERROR!");
+  } finally {
+    formulaEvaluationStack.delete(key);
+  }
+}
+
+// Get the value of a cell: the computed result for formulas, the literal otherwise
+function getCellValue(x, y, z) {
+  const key = `${x},${y},${z}`;
+  const text = cellData[key];
+
+  if (!isFormula(text)) {
+    return parseCellLiteral(text);
+  }
+
+  if (!cellComputedValues.has(key)) {
+    const result = evaluateFormulaCell(x, y, z);
+    // Don't cache results computed while a cycle was being unwound
+    if (formulaEvaluationStack.size > 0 && result instanceof FormulaError) {
+      return result;
+    }
+    cellComputedValues.set(key, result);
+  }
+  return cellComputedValues.get(key);
+}
+
+// Trim floating point noise the same way Excel does (15 significant digits)
+function formatNumber(value) {
+  if (!isFinite(value)) return "#NUM!";
+  return String(parseFloat(value.toPrecision(15)));
+}
+
+function formatCellValue(value) {
+  if (value instanceof FormulaError) return value.code;
+  if (value === null) return "";
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  if (typeof value === "number") return formatNumber(value);
+  return value;
+}
+
+// Number formats
+// Excel-style format codes, applied when a numeric value is drawn (the stored
+// text is never changed). Supported: up to three ";"-separated sections
+// (positive;negative;zero), 0 and # digit placeholders, "," thousands
+// separators, "%", scientific "E+00", literals in quotes or after "\",
+// currency tags like [$€-407], and dates/times (yyyy, mmm, dd, hh:mm:ss,
+// AM/PM) on Excel serial day numbers. Colors such as [Red] are ignored.
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30); // Serial day 0
+const DATE_FORMAT_MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+const DATE_FORMAT_DAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+const numberFormatCache = new Map(); // code -> parsed sections
+
+// Split a format code into tokens: { type: "literal", text },
+// { type: "digits", text } for placeholders, or { type: "date", code }
+const NUMBER_FORMAT_COLORS =
+  /^(black|blue|cyan|green|magenta|red|white|yellow|color\d+)$/i;
+
+function tokenizeNumberFormat(section) {
+  const tokens = [];
+  const literal = (text) => tokens.push({ type: "literal", text });
+  let i = 0;
+
+  while (i < section.length) {
+    const char = section[i];
+    const rest = section.slice(i);
+
+    if (char === '"') {
+      const end = section.indexOf('"', i + 1);
+      literal(section.slice(i + 1, end === -1 ? undefined : end));
+      i = end === -1 ? section.length : end + 1;
+    } else if (char === "\\") {
+      literal(section[i + 1] || "");
+      i += 2;
+    } else if (char === "[") {
+      // [$€-407] shows its symbol, [h], [mm] and [ss] are elapsed time and
+      // colors are skipped; anything else (conditions) isn't supported
+      const end = section.indexOf("]", i);
+      const tag = section.slice(i + 1, end === -1 ? undefined : end);
+      if (tag.startsWith("$")) {
+        literal(tag.slice(1).split("-")[0]);
+      } else if (/^(h+|m+|s+)$/i.test(tag)) {
+        tokens.push({ type: "date", code: `[${tag.toLowerCase()}]` });
+      } else if (!NUMBER_FORMAT_COLORS.test(tag)) {
+        tokens.push({ type: "unsupported", text: tag });
+      }
+      i = end === -1 ? section.length : end + 1;
+    } else if (char === "_") {
+      literal(" "); // Padding as wide as the next character
+      i += 2;
+    } else if (char === "*") {
+      i += 2; // Repeat-to-fill isn't supported
+    } else if (/^(AM\/PM|A\/P)/i.test(rest)) {
+      const code = rest.match(/^(AM\/PM|A\/P)/i)[0];
+      tokens.push({ type: "date", code: code.toUpperCase() });
+      i += code.length;
+    } else if (/[ymdhs]/i.test(char)) {
+      const code = rest.match(/^([ymdhs])\1*/i)[0];
+      tokens.push({ type: "date", code: code.toLowerCase() });
+      i += code.length;
+    } else if (/[0#?.,%]/.test(char) || /^E[+-]/i.test(rest)) {
+      const text = /^E[+-]/i.test(rest) ? rest.slice(0, 2).toUpperCase() : char;
+      const previous = tokens[tokens.length - 1];
+      if (previous && previous.type === "digits") {
+        previous.text += text;
+      } else {
+        tokens.push({ type: "digits", text });
+      }
+      i += text.length;
+    } else {
+      literal(char);
+      i++;
+    }
+  }
+  return tokens;
+}
+
+// Split on ";" outside quotes and parse each section once
+function parseNumberFormat(code) {
+  if (!numberFormatCache.has(code)) {
+    const sections = [];
+    let current = "";
+    let quoted = false;
+    for (let i = 0; i < code.length; i++) {
+      const char = code[i];
+      if (char === '"') quoted = !quoted;
+      if (char === "\\" && !quoted) {
+        current += char + (code[i + 1] || "");
+        i++;
+      } else if (char === ";" && !quoted) {
+        sections.push(current);
+        current = "";
+      } else {
+        current += char;
+      }
+    }
+    sections.push(current);
+    numberFormatCache.set(code, sections.map(tokenizeNumberFormat));
+  }
+  return numberFormatCache.get(code);
+}
+
+// Whether a format code shows its number as a date or time
+function isDateFormat(code) {
+  return parseNumberFormat(code)[0].some((token) => token.type === "date");
+}
+
+// Format a non-negative number with a digit pattern, e.g. "#,##0.00" or "0.0E+00"
+function formatDigits(number, pattern) {
+  const exponentIndex = pattern.search(/E[+-]/);
+  const mantissaPattern =
+    exponentIndex === -1 ? pattern : pattern.slice(0, exponentIndex);
+  const [intPattern, fracPattern = ""] = mantissaPattern
+    .replace(/%/g, "")
+    .split(".");
+  const minInt = (intPattern.match(/0/g) || []).length;
+  const minFrac = (fracPattern.match(/0/g) || []).length;
+  const maxFrac = (fracPattern.match(/[0#?]/g) || []).length;
+
+  // A trailing "," scales by a thousand
+  const scaleCommas = intPattern.match(/,+$/);
+  if (scaleCommas && exponentIndex === -1) {
+    number /= 1000 ** scaleCommas[0].length;
+  }
+
+  let exponentText = "";
+  if (exponentIndex !== -1) {
+    let exponent = number === 0 ? 0 : Math.floor(Math.log10(number));
+    let mantissa = number / 10 ** exponent;
+    if (Number(mantissa.toFixed(maxFrac)) >= 10) {
+      exponent++;
+      mantissa /= 10;
+    }
+    number = mantissa;
+    const exponentPattern = pattern.slice(exponentIndex + 2);
+    const digits = String(Math.abs(exponent)).padStart(
+      (exponentPattern.match(/0/g) || []).length,
+      "0"
+    );
+    const plus = pattern[exponentIndex + 1] === "+" ? "+" : "";
+    exponentText = `E${exponent < 0 ? "-" : plus}${digits}`;
+  }
+
+  let [intDigits, fracDigits = ""] = toFixedDigits(number, maxFrac).split(".");
+  while (fracDigits.length > minFrac && fracDigits.endsWith("0")) {
+    fracDigits = fracDigits.slice(0, -1);
+  }
+  if (intDigits === "0" && minInt === 0) intDigits = "";
+  intDigits = intDigits.padStart(minInt, "0");
+  if (intPattern.replace(/,+$/, "").includes(",")) {
+    intDigits = intDigits.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+  }
+
+  const fraction = mantissaPattern.includes(".") ? `.${fracDigits}` : "";
+  return intDigits + fraction + exponentText;
+}
+
+const ELAPSED_TIME_UNITS = { h: 3600, m: 60, s: 1 }; // Seconds per unit
+
+// Fixed-point text of a non-negative number; unlike toFixed, never in exponent
+// notation (toFixed switches to it from 1e21)
+function toFixedDigits(number, fractionDigits) {
+  const digits = Math.min(fractionDigits, 20);
+  return number.toLocaleString("en-US", {
+    useGrouping: false,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  });
+}
+
+// Format an Excel serial day number with date/time tokens. Elapsed time
+// tokens ([h], [mm], [ss]) count every hour, minute or second of the serial.
+function formatDateTokens(serial, tokens) {
+  const seconds = Math.round(serial * 86400);
+  const date = new Date(EXCEL_EPOCH + seconds * 1000);
+  const hasAmPm = tokens.some((token) => /^A/.test(token.code || ""));
+  const hours = date.getUTCHours();
+  const pad = (value, width) => String(value).padStart(width, "0");
+
+  return tokens
+    .map((token, index) => {
+      if (token.type !== "date") return token.text || "";
+      const { code } = token;
+      if (code[0] === "[") {
+        const unitSeconds = ELAPSED_TIME_UNITS[code[1]];
+        return pad(Math.floor(seconds / unitSeconds), code.length - 2);
+      }
+
+      // "m" means minutes right after hours or right before seconds
+      const dateNeighbour = (step) => {
+        for (let j = index + step; j >= 0 && j < tokens.length; j += step) {
+          const { type, code: neighbour } = tokens[j];
+          if (type === "date") return neighbour.replace("[", "")[0];
+        }
+        return null;
+      };
+      const isMinutes =
+        code[0] === "m" &&
+        code.length <= 2 &&
+        (dateNeighbour(-1) === "h" || dateNeighbour(1) === "s");
+
+      switch (code[0]) {
+        case "y":
+          return code.length <= 2
+            ? pad(date.getUTCFullYear() % 100, 2)
+            : String(date.getUTCFullYear());
+        case "m": {
+          if (isMinutes) return pad(date.getUTCMinutes(), code.length);
+          if (code.length <= 2) return pad(date.getUTCMonth() + 1, code.length);
+          const month = DATE_FORMAT_MONTHS[date.getUTCMonth()];
+          if (code.length === 3) return month.slice(0, 3);
+          return code.length === 5 ? month[0] : month;
+        }
+        case "d":
+          if (code.length <= 2) return pad(date.getUTCDate(), code.length);
+          if (code.length === 3) {
+            return DATE_FORMAT_DAYS[date.getUTCDay()].slice(0, 3);
+          }
+          return DATE_FORMAT_DAYS[date.getUTCDay()];
+        case "h":
+          return pad(
+            hasAmPm ? hours % 12 || 12 : hours,
+            Math.min(code.length, 2)
+          );
+        case "s":
+          return pad(date.getUTCSeconds(), Math.min(code.length, 2));
+        case "A":
+          if (code === "A/P") return hours < 12 ? "A" : "P";
+          return hours < 12 ? "AM" : "PM";
+      }
+      return "";
+    })
+    .join("");
+}
+
+// Display text of a number under a format code
+function formatNumberWithCode(value, code) {
+  if (!code || code.toLowerCase() === "general" || !isFinite(value)) {
+    return formatNumber(value);
+  }
+
+  const sections = parseNumberFormat(code);
+  if (sections.flat().some((token) => token.type === "unsupported")) {
+    return formatNumber(value); // General rather than a half-applied format
+  }
+  let tokens = sections[0];
+  let number = value;
+  let sign = value < 0 ? "-" : "";
+  if (value < 0 && sections.length > 1) {
+    tokens = sections[1]; // The negative section shows the sign itself
+    number = -value;
+    sign = "";
+  } else if (value === 0 && sections.length > 2) {
+    tokens = sections[2];
+  }
+
+  if (tokens.some((token) => token.type === "date")) {
+    return value < 0 ? formatNumber(value) : formatDateTokens(number, tokens);
+  }
+
+  // Each "%" multiplies by a hundred; the whole digit pattern is formatted at
+  // the first placeholder and literals keep their places around it
+  const pattern = tokens
+    .filter((token) => token.type === "digits")
+    .map((token) => token.text)
+    .join("");
+  if (!pattern) {
+    return tokens.map((token) => token.text).join("");
+  }
+  const percents = (pattern.match(/%/g) || []).length;
+  const digits = formatDigits(Math.abs(number) * 100 ** percents, pattern);
+  if (!/[1-9]/.test(digits)) sign = ""; // Rounded to zero: no "-0.00"
+
+  let placed = false;
+  const text = tokens
+    .map((token) => {
+      if (token.type === "literal") return token.text;
+      const percentSigns = token.text.replace(/[^%]/g, "");
+      if (placed) return percentSigns;
+      placed = true;
+      return digits + percentSigns;
+    })
+    .join("");
+  return sign + text;
+}
+
+// Text to draw for a cell: raw text while editing, computed result for formulas
+function getCellDisplayText(x, y, z) {
+  const key = `${x},${y},${z}`;
+  const text = cellData[key];
+
+  const isBeingEdited =
+    isEditingCell &&
+    editingCellCoords &&
+    editingCellCoords.x === x &&
+    editingCellCoords.y === y &&
+    editingCellCoords.z === z;
+
+  if (isBeingEdited) {
+    return text;
+  }
+
+  // Numbers are shown through the cell's number format, and so are typed
+  // dates ("2024-01-31", "1/31/2024") under a date format
+  const format = cellNumberFormat[key];
+  if (format) {
+    const value = getCellValue(x, y, z);
+    if (typeof value === "number") return formatNumberWithCode(value, format);
+    const serial = getDateSerial(value);
+    if (serial !== null && isDateFormat(format)) {
+      return formatNumberWithCode(serial, format);
+    }
+  }
+
+  if (!isFormula(text)) {
+    return text;
+  }
+  return formatCellValue(getCellValue(x, y, z));
+}
+
+// Rewrite every cell reference in a formula through a callback that receives
+// the REFERENCE_PATTERN match. String literals and function names are left alone.
+function rewriteFormulaReferences(formula, rewrite) {
+  let result = "";
+  let i = 0;
+
+  while (i < formula.length) {
+    const rest = formula.slice(i);
+
+    if (rest[0] === '"') {
+      const string = rest.match(/^"((?:[^"]|"")*)"?/);
+      result += string[0];
+      i += string[0].length;
+      continue;
+    }
+
+    const previous = formula[i - 1] || "";
+    if (/[A-Z$]/i.test(rest[0]) && !/[A-Z0-9_.$!]/i.test(previous)) {
+      const reference = rest.match(REFERENCE_PATTERN);
+      if (reference) {
+        result += rewrite(reference);
+        i += reference[0].length;
+        continue;
+      }
+      // Skip whole identifiers so function names aren't split into references
+      const identifier = rest.match(/^\$?[A-Z_][A-Z0-9_.]*/i) || [rest[0]];
+      result += identifier[0];
+      i += identifier[0].length;
+      continue;
+    }
+
+    result += rest[0];
+    i++;
+  }
+
+  return result;
+}
+
+// Move the relative (non-$) references in a formula by a column/row offset.
+// Layer names are kept, like sheet names in Excel.
+function shiftFormulaReferences(formula, deltaX, deltaY) {
+  return rewriteFormulaReferences(formula, (match) =>
+    shiftReferenceMatch(match, deltaX, deltaY)
+  );
+}
+
+function shiftReferenceMatch(match, deltaX, deltaY) {
+  const shiftColumn = (absolute, letters) => {
+    const column = letterToColumn(letters) + (absolute ? 0 : deltaX);
+    return column < 0 ? null : absolute + columnToLetter(column);
+  };
+  const shiftRow = (absolute, digits) => {
+    const row = parseInt(digits, 10) + (absolute ? 0 : deltaY);
+    return row < 1 ? null : absolute + row;
+  };
+
+  const parts = [shiftColumn(match[2], match[3]), shiftRow(match[4], match[5])];
+  if (match[7]) {
+    parts.push(shiftColumn(match[6], match[7]), shiftRow(match[8], match[9]));
+  }
+  if (parts.includes(null)) return "#REF!";
+
+  let reference = match[1] ? `${match[1]}!` : "";
+  reference += parts[0] + parts[1];
+  if (match[7]) reference += `:${parts[2]}${parts[3]}`;
+  if (match[10]) reference += `:${match[10]}`;
+  if (match[11]) reference += `:${match[11]}`;
+  return reference;
+}
+
+// Collect the ranges referenced anywhere in a formula AST
+function collectReferences(node, ranges = []) {
+  if (node.type === "ref") {
+    ranges.push(node.range);
+  } else if (node.type === "unary" || node.type === "percent") {
+    collectReferences(node.operand, ranges);
+  } else if (node.type === "binary") {
+    collectReferences(node.left, ranges);
+    collectReferences(node.right, ranges);
+  } else if (node.type === "call") {
+    node.args.forEach((arg) => collectReferences(arg, ranges));
+  }
+  return ranges;
+}
+
+// Record which ranges a cell's formula reads (nothing for literals or bad syntax)
+function updateFormulaPrecedents(x, y, z) {
+  const key = `${x},${y},${z}`;
+  const text = cellData[key];
+
+  if (!isFormula(text)) {
+    formulaPrecedents.delete(key);
+    return;
+  }
+
+  try {
+    const ast = parseFormula(text.slice(1), { x, y, z });
+    formulaPrecedents.set(key, collectReferences(ast));
+  } catch (error) {
+    formulaPrecedents.set(key, []);
+  }
+}
+
+function rebuildFormulaPrecedents() {
+  formulaPrecedents.clear();
+  Object.keys(cellData).forEach((key) => {
+    const [x, y, z] = key.split(",").map(Number);
+    updateFormulaPrecedents(x, y, z);
+  });
+}
+
+function rangeContainsCell(range, x, y, z) {
+  return (
+    x >= range.minX &&
+    x <= range.maxX &&
+    y >= range.minY &&
+    y <= range.maxY &&
+    z >= range.minZ &&
+    z <= range.maxZ
+  );
+}
+
+// Formula cells that read the given cell directly
+function getDirectDependents(key) {
+  const [x, y, z] = key.split(",").map(Number);
+  const dependents = [];
+  formulaPrecedents.forEach((ranges, formulaKey) => {
+    if (ranges.some((range) => rangeContainsCell(range, x, y, z))) {
+      dependents.push(formulaKey);
+    }
+  });
+  return dependents;
+}
+
+// Order the cells downstream of a change so each is computed after its inputs.
+// Cells left over are part of (or fed by) a cycle.
+function getRecalculationOrder(changedKey) {
+  const affected = new Set();
+  const dependentsOf = new Map();
+  const pending = [changedKey];
+
+  while (pending.length > 0) {
+    const key = pending.pop();
+    const dependents = getDirectDependents(key);
+    dependentsOf.set(key, dependents);
+    dependents.forEach((dependent) => {
+      if (!affected.has(dependent)) {
+        affected.add(dependent);
+        pending.push(dependent);
+      }
+    });
+  }
+
+  // Kahn's algorithm over the affected subgraph
+  const inDegree = new Map();
+  affected.forEach((key) => inDegree.set(key, 0));
+  affected.forEach((key) => {
+    dependentsOf.get(key).forEach((dependent) => {
+      inDegree.set(dependent, inDegree.get(dependent) + 1);
+    });
+  });
+
+  const ready = [...affected].filter((key) => inDegree.get(key) === 0);
+  const order = [];
+  while (ready.length > 0) {
+    const key = ready.shift();
+    order.push(key);
+    dependentsOf.get(key).forEach((dependent) => {
+      inDegree.set(dependent, inDegree.get(dependent) - 1);
+      if (inDegree.get(dependent) === 0) ready.push(dependent);
+    });
+  }
+
+  const cyclic = [...affected].filter((key) => inDegree.get(key) > 0);
+  return { order, cyclic };
+}
+
+// Recompute and redraw only the formulas that depend on a changed cell
+function recalculateDependents(changedKey) {
+  const { order, cyclic } = getRecalculationOrder(changedKey);
+  const keys = [...order, ...cyclic];
+  if (keys.length === 0) return;
+
+  keys.forEach((key) => cellComputedValues.delete(key));
+
+  if (cyclic.length > 0) {
+    console.warn(`Circular reference detected in ${cyclic.length} cell(s)`);
+  }
+
+  isRecalculating = true;
+  try {
+    // Cyclic cells are evaluated last; the evaluation stack turns the loop into #CIRC!
+    keys.forEach((key) => {
+      const [x, y, z] = key.split(",").map(Number);
+      updateCellText(x, y, z, cellData[key]);
+    });
+  } finally {
+    isRecalculating = false;
+  }
+}
+
+// Re-evaluate and redraw every formula cell
+function recalculateFormulas() {
+  rebuildFormulaPrecedents();
+  cellComputedValues.clear();
+
+  isRecalculating = true;
+  try {
+    Object.keys(cellData).forEach((key) => {
+      if (!isFormula(cellData[key])) return;
+      const [x, y, z] = key.split(",").map(Number);
+      updateCellText(x, y, z, cellData[key]);
+    });
+  } finally {
+    isRecalculating = false;
+  }
 }
 
 function updateCellText(x, y, z, text) {
   const key = `${x},${y},${z}`;
 
-  // Remove old sprite if exists
-  const oldSprite = textSprites.find(
-    (s) => s.userData.x === x && s.userData.y === y && s.userData.z === z
-  );
-  if (oldSprite) {
-    pivot.remove(oldSprite);
-    textSprites = textSprites.filter((s) => s !== oldSprite);
+  const previousText = cellData[key];
+
+  if (text && text.trim() !== "") {
+    // Store data (formulas keep their source, the text shows the result)
+    cellData[key] = text;
+    if (previousText !== text) {
+      cellComputedValues.delete(key);
+    }
+    const displayText = getCellDisplayText(x, y, z);
+
+    // Lay out the text with the cell's formatting (black, 100px Arial by default)
+    setCellTextLayout(x, y, z, displayText, {
+      color: cellTextColors[key] || "#000000",
+      bold: cellTextBold[key] || false,
+      italic: cellTextItalic[key] || false,
+      strikethrough: cellTextStrikethrough[key] || false,
+      fontFamily: cellFontFamily[key] || "arial",
+      fontSize: cellFontSize[key] || 100,
+      align: cellHorizontalAlign[key] || "center",
+      verticalAlign: cellVerticalAlign[key] || "middle",
+      wrap: cellTextWrap[key] || "clip",
+    });
+
+    // Update cell visual: cells with text are slightly more opaque
+    updateCellAppearance(x, y, z);
+  } else {
+    // Remove data
+    delete cellData[key];
+    cellComputedValues.delete(key);
+    removeCellTextLayout(key);
+
+    // Restore cell visual: subtle transparent fill
+    updateCellAppearance(x, y, z);
+  }
+
+  // The value (or a formula's result) may have changed, so rules are evaluated again
+  if (Object.keys(conditionalFormats).length > 0) {
+    conditionalFormatsDirty = true;
+  }
+  if (Object.keys(dataValidations).length > 0) {
+    dataValidationsDirty = true;
+  }
+  if (Object.values(charts).some((chart) => isInBox(x, y, z, chart.range))) {
+    chartsDirty = true;
+  }
+
+  // Formulas reading this cell need to be refreshed when its content changes
+  if (previousText !== cellData[key]) {
+    updateFormulaPrecedents(x, y, z);
+    if (!isRecalculating) {
+      recalculateDependents(key);
+    }
+  }
+}
+
+// Undo/redo history
+// Each entry stores before/after snapshots of every touched cell, so a
+// multi-cell operation (like clearing a cubic selection) undoes in one step.
+const MAX_HISTORY_ENTRIES = 100;
+const HISTORY_MERGE_WINDOW = 1000; // ms; color picker drags merge into one entry
+const undoStack = [];
+const redoStack = [];
+let activeTransaction = null;
+
+// Per-cell maps captured in history snapshots
+const cellStateMaps = {
+  cellData,
+  cellBackgroundColors,
+  cellTextColors,
+  cellTextBold,
+  cellTextItalic,
+  cellTextStrikethrough,
+  cellFontFamily,
+  cellFontSize,
+  cellNumberFormat,
+  cellHorizontalAlign,
+  cellVerticalAlign,
+  cellTextWrap,
+  cellMergeSpans,
+  cellComments,
+};
+
+function captureCellState(key) {
+  const snapshot = {};
+  Object.entries(cellStateMaps).forEach(([name, map]) => {
+    if (key in map) snapshot[name] = map[key];
+  });
+  return snapshot;
+}
+
+// Restore a cell from a snapshot and redraw it
+function restoreCellState(key, snapshot) {
+  if (snapshot.cellMergeSpans !== cellMergeSpans[key]) {
+    mergeLayoutDirty = true; // Redrawn on the next frame
+  }
+  if (snapshot.cellComments !== cellComments[key]) {
+    commentMarkersDirty = true;
+  }
+  Object.entries(cellStateMaps).forEach(([name, map]) => {
+    if (name === "cellData") return; // Set through updateCellText below
+    if (name in snapshot) {
+      map[key] = snapshot[name];
+    } else {
+      delete map[key];
+    }
+  });
+
+  const [x, y, z] = key.split(",").map(Number);
+  updateCellText(x, y, z, snapshot.cellData || "");
+}
+
+// Sheet-wide settings restored along with the cells of a history entry
+const sheetStateMaps = {
+  layerNames,
+  columnWidths,
+  rowHeights,
+  layerDepths,
+  conditionalFormats,
+  dataValidations,
+  namedRanges,
+  charts,
+};
+
+// The row filter and the rows it hides are restored as they were, without
+// filtering again
+function captureSheetState() {
+  return {
+    ...Object.fromEntries(
+      Object.entries(sheetStateMaps).map(([name, map]) => [name, { ...map }])
+    ),
+    rowFilter: rowFilter && JSON.parse(JSON.stringify(rowFilter)),
+    hiddenRows: Array.from(hiddenRows).sort((a, b) => a - b),
+  };
+}
+
+function restoreSheetState(state) {
+  Object.entries(sheetStateMaps).forEach(([name, map]) => {
+    Object.keys(map).forEach((index) => delete map[index]);
+    Object.assign(map, state[name]);
+  });
+  const hiddenRowsChanged =
+    state.hiddenRows.join() !==
+    Array.from(hiddenRows)
+      .sort((a, b) => a - b)
+      .join();
+  rowFilter = state.rowFilter && JSON.parse(JSON.stringify(state.rowFilter));
+  hiddenRows.clear();
+  state.hiddenRows.forEach((y) => hiddenRows.add(y));
+  if (hiddenRowsChanged) {
+    recalculateFormulas(); // Subtotals only count the visible rows
+  }
+  updateFilterButton();
+  conditionalFormatsDirty = true;
+  dataValidationsDirty = true;
+  chartsDirty = true;
+  relayoutCells();
+  updateNameBox();
+}
+
+function beginHistoryTransaction(label, mergeKey = null) {
+  if (activeTransaction) {
+    activeTransaction.depth++;
+    return;
+  }
+  activeTransaction = {
+    label,
+    mergeKey,
+    depth: 1,
+    before: new Map(),
+    sheet: captureSheetState(),
+    selection: selectionStart
+      ? { start: { ...selectionStart }, end: { ...selectionEnd } }
+      : null,
+  };
+}
+
+// Remember a cell's state before the active transaction modifies it
+function recordUndoState(key) {
+  if (activeTransaction && !activeTransaction.before.has(key)) {
+    activeTransaction.before.set(key, captureCellState(key));
+  }
+}
+
+function commitHistoryTransaction() {
+  if (!activeTransaction) return;
+  activeTransaction.depth--;
+  if (activeTransaction.depth > 0) return;
+
+  const transaction = activeTransaction;
+  activeTransaction = null;
+
+  // Drop cells that ended up unchanged
+  const before = new Map();
+  const after = new Map();
+  transaction.before.forEach((snapshot, key) => {
+    const current = captureCellState(key);
+    if (JSON.stringify(snapshot) !== JSON.stringify(current)) {
+      before.set(key, snapshot);
+      after.set(key, current);
+    }
+  });
+  const sheet = captureSheetState();
+  const sheetChanged =
+    JSON.stringify(transaction.sheet) !== JSON.stringify(sheet);
+  if (before.size === 0 && !sheetChanged) return;
+
+  const now = Date.now();
+  const last = undoStack[undoStack.length - 1];
+  if (
+    last &&
+    transaction.mergeKey &&
+    last.mergeKey === transaction.mergeKey &&
+    now - last.timestamp < HISTORY_MERGE_WINDOW
+  ) {
+    before.forEach((snapshot, key) => {
+      if (!last.before.has(key)) last.before.set(key, snapshot);
+      last.after.set(key, after.get(key));
+    });
+    last.timestamp = now;
+  } else {
+    undoStack.push({
+      label: transaction.label,
+      mergeKey: transaction.mergeKey,
+      timestamp: now,
+      before,
+      after,
+      // Structural edits, resizing and loading change layer names and sizes
+      sheet: sheetChanged ? { before: transaction.sheet, after: sheet } : null,
+      selection: transaction.selection,
+    });
+    if (undoStack.length > MAX_HISTORY_ENTRIES) {
+      undoStack.shift();
+    }
+  }
+
+  redoStack.length = 0;
+}
+
+function applyHistorySnapshots(snapshots, selection, sheet = null) {
+  if (sheet) {
+    restoreSheetState(sheet);
+  }
+  snapshots.forEach((snapshot, key) => restoreCellState(key, snapshot));
+
+  // Bring the selection back to where the change happened
+  if (selection) {
+    selectionStart = selection.start;
+    selectionEnd = selection.end;
+    selectCubicRegion(selectionStart, selectionEnd);
+  }
+}
+
+function undo() {
+  if (isEditingCell && !finishEditing(true)) return;
+
+  const entry = undoStack.pop();
+  if (!entry) return false;
+
+  applyHistorySnapshots(
+    entry.before,
+    entry.selection,
+    entry.sheet && entry.sheet.before
+  );
+  redoStack.push(entry);
+  console.log(`Undo: ${entry.label}`);
+  return true;
+}
+
+function redo() {
+  if (isEditingCell && !finishEditing(true)) return;
+
+  const entry = redoStack.pop();
+  if (!entry) return false;
+
+  applyHistorySnapshots(
+    entry.after,
+    entry.selection,
+    entry.sheet && entry.sheet.after
+  );
+  undoStack.push(entry);
+  console.log(`Redo: ${entry.label}`);
+  return true;
+}
+
+// Clear every cell in the current cubic selection as one undoable step
+function clearSelectedCells() {
+  if (!selectionStart || !selectionEnd) return;
+
+  // A merged block is cleared as a whole, including the cells it covers
+  const { minX, maxX, minY, maxY, minZ, maxZ } = getSelectionBox();
+
+  beginHistoryTransaction("Clear cells");
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      for (let z = minZ; z <= maxZ; z++) {
+        recordUndoState(`${x},${y},${z}`);
+        updateCellText(x, y, z, "");
+      }
+    }
+  }
+  commitHistoryTransaction();
+}
+
+// Clipboard
+// Copy/cut keep the full cube (values and formatting) in clipboardBuffer and
+// put tab-separated text on the system clipboard for ordinary spreadsheets.
+// Pasting that same text back uses the buffer; any other text is parsed as TSV.
+let clipboardBuffer = null;
+
+// Split delimited text into rows of fields, honoring "quoted" fields
+function parseDelimitedText(text, delimiter = "\t", quote = '"') {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === quote && text[i + 1] === quote) {
+        field += quote;
+        i++;
+      } else if (char === quote) {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (quote && char === quote && field === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  // Last row (a trailing newline doesn't add an empty row)
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function quoteDelimitedField(value, delimiter = "\t") {
+  if (/["\r\n]/.test(value) || value.includes(delimiter)) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return value;
+}
+
+// Copy the current cubic selection into the clipboard buffer, returning its text
+function copySelection(isCut) {
+  const { minX, maxX, minY, maxY, minZ, maxZ } = getSelectionBox();
+
+  const cells = [];
+  const layers = [];
+  for (let z = minZ; z <= maxZ; z++) {
+    const lines = [];
+    for (let y = minY; y <= maxY; y++) {
+      const fields = [];
+      for (let x = minX; x <= maxX; x++) {
+        cells.push({
+          dx: x - minX,
+          dy: y - minY,
+          dz: z - minZ,
+          state: captureCellState(`${x},${y},${z}`),
+        });
+        fields.push(quoteDelimitedField(getCellDisplayText(x, y, z) || ""));
+      }
+      lines.push(fields.join("\t"));
+    }
+    layers.push(lines.join("\n"));
+  }
+
+  // Layers of a 3D selection are separated by a blank line; other applications
+  // (and plain-text paste) see them stacked as one 2D block
+  const text = layers.join("\n\n");
+
+  clipboardBuffer = {
+    text,
+    cells,
+    origin: { x: minX, y: minY, z: minZ },
+    source: isCut ? { minX, maxX, minY, maxY, minZ, maxZ } : null,
+  };
+
+  return text;
+}
+
+// Paste at the top-left-front corner of the selection as one undoable step
+function pasteText(text) {
+  const targetX = Math.min(selectionStart.x, selectionEnd.x);
+  const targetY = Math.min(selectionStart.y, selectionEnd.y);
+  const targetZ = Math.min(selectionStart.z, selectionEnd.z);
+
+  let width = 0;
+  let height = 0;
+  let depth = 0;
+
+  beginHistoryTransaction("Paste");
+
+  if (clipboardBuffer && clipboardBuffer.text === text) {
+    const { cells, origin, source } = clipboardBuffer;
+    const deltaX = targetX - origin.x;
+    const deltaY = targetY - origin.y;
+
+    // The pasted block must fit on the sheet (layers are added if needed)
+    const last = cells[cells.length - 1];
+    if (
+      !ensureGridExtent(targetX + last.dx, targetY + last.dy, targetZ + last.dz)
+    ) {
+      commitHistoryTransaction();
+      alert("The pasted cells don't fit on the sheet.");
+      return;
+    }
+
+    // Cut moves the cells: empty the source first (the target may overlap it)
+    if (source) {
+      for (let x = source.minX; x <= source.maxX; x++) {
+        for (let y = source.minY; y <= source.maxY; y++) {
+          for (let z = source.minZ; z <= source.maxZ; z++) {
+            recordUndoState(`${x},${y},${z}`);
+            restoreCellState(`${x},${y},${z}`, {});
+          }
+        }
+      }
+    }
+
+    cells.forEach(({ dx, dy, dz, state }) => {
+      const x = targetX + dx;
+      const y = targetY + dy;
+      const z = targetZ + dz;
+
+      // Copied formulas follow the paste offset; cut formulas move unchanged
+      const pasted = { ...state };
+      if (!source && isFormula(pasted.cellData)) {
+        pasted.cellData = shiftFormulaReferences(pasted.cellData, deltaX, deltaY);
+      }
+
+      recordUndoState(`${x},${y},${z}`);
+      restoreCellState(`${x},${y},${z}`, pasted);
+      width = Math.max(width, dx + 1);
+      height = Math.max(height, dy + 1);
+      depth = Math.max(depth, dz + 1);
+    });
+
+    // A cut can only be pasted once
+    if (source) {
+      clipboardBuffer = null;
+    }
+  } else {
+    // Plain text from another application: values only, keep target
+    // formatting. Tab-separated text is 2D (blank lines are empty cells), so it
+    // all goes on the target layer.
+    const rows = parseDelimitedText(text, "\t");
+
+    // The pasted block must fit on the sheet
+    const columns = Math.max(1, ...rows.map((fields) => fields.length));
+    if (
+      !ensureGridExtent(
+        targetX + columns - 1,
+        targetY + Math.max(rows.length, 1) - 1,
+        targetZ
+      )
+    ) {
+      commitHistoryTransaction();
+      alert("The pasted cells don't fit on the sheet.");
+      return;
+    }
+
+    rows.forEach((fields, dy) => {
+      fields.forEach((value, dx) => {
+        const x = targetX + dx;
+        const y = targetY + dy;
+
+        recordUndoState(`${x},${y},${targetZ}`);
+        updateCellText(x, y, targetZ, value);
+        width = Math.max(width, dx + 1);
+        height = Math.max(height, dy + 1);
+        depth = 1;
+      });
+    });
+  }
+
+  commitHistoryTransaction();
+
+  // Select the pasted region
+  if (width > 0) {
+    selectionStart = { x: targetX, y: targetY, z: targetZ };
+    selectionEnd = {
+      x: targetX + width - 1,
+      y: targetY + height - 1,
+      z: targetZ + depth - 1,
+    };
+    selectCubicRegion(selectionStart, selectionEnd);
+  }
+}
+
+// Clipboard events fire for Cmd/Ctrl+C/X/V (onKeyDown lets those through)
+function isClipboardEventForGrid(event) {
+  const target = event.target;
+  if (
+    target instanceof HTMLInputElement ||
+    target instanceof HTMLTextAreaElement ||
+    target instanceof HTMLSelectElement
+  ) {
+    return false;
+  }
+  return Boolean(selectionStart && selectionEnd);
+}
+
+function onCopy(event) {
+  if (!isClipboardEventForGrid(event)) return;
+  if (isEditingCell && !finishEditing(true)) return;
+
+  event.clipboardData.setData("text/plain", copySelection(false));
+  event.preventDefault();
+}
+
+function onCut(event) {
+  if (!isClipboardEventForGrid(event)) return;
+  if (isEditingCell && !finishEditing(true)) return;
+
+  event.clipboardData.setData("text/plain", copySelection(true));
+  event.preventDefault();
+}
+
+function onPaste(event) {
+  if (!isClipboardEventForGrid(event)) return;
+  if (isEditingCell && !finishEditing(true)) return;
+
+  const text = event.clipboardData.getData("text/plain");
+  if (text) {
+    pasteText(text);
+  }
+  event.preventDefault();
+}
+
+// Insert and delete rows, columns and layers
+// Structural edits span the whole cube (a row is inserted on every layer, like
+// the shared row labels). Cells past the edit point move, formulas are
+// rewritten so their references keep pointing at the same cells (references
+// into deleted cells become #REF!), and layer names and the selection follow.
+const STRUCTURE_AXES = {
+  column: {
+    index: 0,
+    label: "column",
+    plural: "columns",
+    limit: MAX_GRID_COLUMNS,
+  },
+  row: { index: 1, label: "row", plural: "rows", limit: MAX_GRID_ROWS },
+  layer: { index: 2, label: "layer", plural: "layers", limit: MAX_GRID_LAYERS },
+};
+
+// New position of an index after inserting (count > 0) or deleting (count < 0)
+// at `at`. Deleted indexes give null, unless they end a range ("start"/"end"),
+// which then shrinks to the cells that survive.
+function shiftAxisIndex(index, at, count, edge = null) {
+  if (index < at) return index;
+  if (count > 0 || index >= at - count) return index + count;
+  if (edge === "start") return at;
+  if (edge === "end") return at - 1;
+  return null;
+}
+
+// Shift a start/end pair along an axis; null when the whole span was deleted
+function shiftAxisSpan(start, end, at, count) {
+  if (end === undefined) {
+    const index = shiftAxisIndex(start, at, count);
+    return index === null ? null : [index];
+  }
+  const forward = start <= end;
+  const newStart = shiftAxisIndex(start, at, count, forward ? "start" : "end");
+  const newEnd = shiftAxisIndex(end, at, count, forward ? "end" : "start");
+  if (forward ? newEnd < newStart : newStart < newEnd) return null;
+  return [newStart, newEnd];
+}
+
+// Rewrite one reference for a structural edit. Absolute ($) references move
+// too: they still name the same cell.
+function shiftStructureReference(match, axis, at, count) {
+  const isRange = Boolean(match[7]);
+  let columns = [letterToColumn(match[3])];
+  let rows = [parseInt(match[5], 10) - 1];
+  if (isRange) {
+    columns.push(letterToColumn(match[7]));
+    rows.push(parseInt(match[9], 10) - 1);
+  }
+  let prefixLayer = match[1] ? [fromRomanNumeral(match[1])] : null;
+  let layers = match[10] ? [fromRomanNumeral(match[10])] : null;
+  if (match[11]) layers.push(fromRomanNumeral(match[11]));
+
+  if (axis === "column") {
+    columns = shiftAxisSpan(columns[0], columns[1], at, count);
+  } else if (axis === "row") {
+    rows = shiftAxisSpan(rows[0], rows[1], at, count);
+  } else {
+    // References without a layer name stay on the formula's own layer
+    if (prefixLayer) {
+      prefixLayer = shiftAxisSpan(prefixLayer[0], undefined, at, count);
+    }
+    if (layers) layers = shiftAxisSpan(layers[0], layers[1], at, count);
+  }
+  const deleted =
+    !columns || !rows || (match[1] && !prefixLayer) || (match[10] && !layers);
+  if (deleted) {
+    return "#REF!";
+  }
+
+  const cell = (index) =>
+    `${match[2 + index * 4]}${columnToLetter(columns[index])}` +
+    `${match[4 + index * 4]}${rows[index] + 1}`;
+  let reference = prefixLayer ? `${toRomanNumeral(prefixLayer[0])}!` : "";
+  reference += cell(0);
+  if (isRange) reference += `:${cell(1)}`;
+  if (layers) reference += layers.map((z) => `:${toRomanNumeral(z)}`).join("");
+  return reference;
+}
+
+function shiftFormulaStructure(formula, axis, at, count) {
+  return rewriteFormulaReferences(formula, (match) =>
+    shiftStructureReference(match, axis, at, count)
+  );
+}
+
+// Move a key of a "x,y,z"-keyed collection; null when its cell was deleted
+function shiftCellKey(key, axis, at, count) {
+  const coords = key.split(",").map(Number);
+  const index = shiftAxisIndex(coords[STRUCTURE_AXES[axis].index], at, count);
+  if (index === null) return null;
+  coords[STRUCTURE_AXES[axis].index] = index;
+  return coords.join(",");
+}
+
+// Anchor key and span of a merged block after inserting or deleting at `at`:
+// blocks grow or shrink with rows/columns/layers inserted or deleted inside
+// them, and one whose anchor was deleted is anchored at its first cell left.
+// Null when nothing (or a single cell) is left of it.
+function shiftMergeSpan(key, span, axis, at, count) {
+  const axisIndex = STRUCTURE_AXES[axis].index;
+  const coords = key.split(",").map(Number);
+  const spans = span.split(",").map(Number);
+  const start = shiftAxisIndex(coords[axisIndex], at, count, "start");
+  const end = shiftAxisIndex(
+    coords[axisIndex] + spans[axisIndex] - 1,
+    at,
+    count,
+    "end"
+  );
+  if (end < start) return null;
+  coords[axisIndex] = start;
+  spans[axisIndex] = end - start + 1;
+  if (spans.every((size) => size === 1)) return null;
+  return { key: coords.join(","), span: spans.join(",") };
+}
+
+// Insert (count > 0) or delete (count < 0) whole rows, columns or layers at `at`
+function shiftCells(axis, at, count) {
+  if (!STRUCTURE_AXES[axis] || count === 0 || at < 0) return false;
+  if (isEditingCell && !finishEditing(true)) return false;
+
+  const { plural, index: axisIndex, limit } = STRUCTURE_AXES[axis];
+
+  // Every cell with content or formatting; inserting may not push any of them
+  // off the end of the sheet
+  const keys = new Set();
+  Object.values(cellStateMaps).forEach((map) => {
+    Object.keys(map).forEach((key) => keys.add(key));
+  });
+  if (count > 0) {
+    let last = -1;
+    keys.forEach((key) => {
+      last = Math.max(last, Number(key.split(",")[axisIndex]));
+    });
+    if (last >= at && last + count >= limit) {
+      alert(`Can't insert ${plural}: cells would be pushed off the sheet.`);
+      return false;
+    }
+  }
+
+  beginHistoryTransaction(`${count > 0 ? "Insert" : "Delete"} ${plural}`);
+
+  // Where every cell ends up
+  const moved = new Map();
+  const reanchored = []; // Merged blocks that lost their anchor
+  keys.forEach((key) => {
+    recordUndoState(key);
+    const newKey = shiftCellKey(key, axis, at, count);
+    if (newKey === null) {
+      const merged =
+        cellMergeSpans[key] &&
+        shiftMergeSpan(key, cellMergeSpans[key], axis, at, count);
+      if (merged) reanchored.push(merged);
+      return;
+    }
+
+    const snapshot = captureCellState(key);
+    if (isFormula(snapshot.cellData)) {
+      snapshot.cellData = shiftFormulaStructure(
+        snapshot.cellData,
+        axis,
+        at,
+        count
+      );
+    }
+    if (snapshot.cellMergeSpans) {
+      const merged = shiftMergeSpan(
+        key,
+        snapshot.cellMergeSpans,
+        axis,
+        at,
+        count
+      );
+      if (merged) {
+        snapshot.cellMergeSpans = merged.span;
+      } else {
+        delete snapshot.cellMergeSpans;
+      }
+    }
+    moved.set(newKey, snapshot);
+  });
+  reanchored.forEach(({ key, span }) => {
+    moved.set(key, { ...moved.get(key), cellMergeSpans: span });
+  });
+  moved.forEach((snapshot, key) => recordUndoState(key));
+  ensureGridExtentForKeys(moved.keys());
+
+  // Sizes (and layer names) move with their columns, rows and layers
+  const sheetMaps = {
+    column: [columnWidths],
+    row: [rowHeights],
+    layer: [layerNames, layerDepths],
+  }[axis];
+  sheetMaps.forEach((map) => {
+    const entries = Object.entries(map);
+    Object.keys(map).forEach((index) => delete map[index]);
+    entries.forEach(([index, value]) => {
+      const newIndex = shiftAxisIndex(Number(index), at, count);
+      if (newIndex !== null) map[newIndex] = value;
+    });
+  });
+  relayoutCells();
+
+  // Quantum superposition follows its cells
+  [quantumOriginalValues, observedCells].forEach((collection) => {
+    const entries = Array.from(collection.entries());
+    collection.clear();
+    entries.forEach(([key, value]) => {
+      const newKey = shiftCellKey(key, axis, at, count);
+      if (newKey === null) return;
+      if (collection instanceof Map) {
+        collection.set(newKey, value);
+      } else {
+        collection.add(newKey);
+      }
+    });
+  });
+
+  // Rewrite the cells without recalculating halfway, then recalculate once
+  isRecalculating = true;
+  try {
+    keys.forEach((key) => {
+      if (!moved.has(key)) restoreCellState(key, {});
+    });
+    moved.forEach((snapshot, key) => restoreCellState(key, snapshot));
+  } finally {
+    isRecalculating = false;
+  }
+  recalculateFormulas();
+
+  // The filter follows its header row and columns, rules follow their ranges
+  shiftRowFilter(axis, at, count);
+  shiftConditionalFormats(axis, at, count);
+  shiftDataValidations(axis, at, count);
+  shiftNamedRanges(axis, at, count);
+  shiftCharts(axis, at, count);
+
+  // Keep the selection on the same cells
+  if (selectionStart && selectionEnd) {
+    const shiftSelection = (cell) => {
+      const coords = [cell.x, cell.y, cell.z];
+      coords[axisIndex] = Math.min(
+        limit - 1,
+        shiftAxisIndex(coords[axisIndex], at, count) ?? at
+      );
+      ensureGridExtent(...coords);
+      return getCell(...coords);
+    };
+    selectionStart = shiftSelection(selectionStart);
+    selectionEnd = shiftSelection(selectionEnd);
+    selectCubicRegion(selectionStart, selectionEnd);
+  }
+
+  commitHistoryTransaction();
+  return true;
+}
+
+// The rows, columns or layers spanned by the selection along an axis
+function getSelectedSpan(axis) {
+  if (!selectionStart || !selectionEnd) return null;
+  const name = ["x", "y", "z"][STRUCTURE_AXES[axis].index];
+  const start = Math.min(selectionStart[name], selectionEnd[name]);
+  const end = Math.max(selectionStart[name], selectionEnd[name]);
+  return { start, count: end - start + 1 };
+}
+
+// Insert as many rows/columns/layers as are selected, before the selection
+function insertSelected(axis) {
+  const span = getSelectedSpan(axis);
+  return span ? shiftCells(axis, span.start, span.count) : false;
+}
+
+// Delete the selected rows/columns/layers and close the gap
+function deleteSelected(axis) {
+  const span = getSelectedSpan(axis);
+  return span ? shiftCells(axis, span.start, -span.count) : false;
+}
+
+// Describe the selected span for the insert/delete dialog, e.g. "rows 3-5"
+function getSelectedSpanLabel(axis) {
+  const span = getSelectedSpan(axis);
+  if (!span) return "";
+  const { label, plural } = STRUCTURE_AXES[axis];
+  const format = (index) =>
+    axis === "column"
+      ? columnToLetter(index)
+      : axis === "row"
+        ? String(index + 1)
+        : getLayerLabel(index);
+  if (span.count === 1) return `${label} ${format(span.start)}`;
+  return `${plural} ${format(span.start)}–${format(span.start + span.count - 1)}`;
+}
+
+// Fill handle
+// Dragging the small square on the selection's corner along X, Y or Z
+// continues each line of the selection: numbers follow their linear trend,
+// dates, weekday/month names, quarters and "Item 1"-style labels keep
+// counting, and anything else (including formulas, whose relative references
+// shift) repeats the source block.
+const FILL_HANDLE_SIZE = 8;
+const FILL_HANDLE_HIT_RADIUS = 8; // px
+const FILL_LISTS = [
+  [
+    "Sunday",
+    "Monday",
+    "Tuesday",
+    "Wednesday",
+    "Thursday",
+    "Friday",
+    "Saturday",
+  ],
+  ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
+  [
+    "January",
+    "February",
+    "March",
+    "April",
+    "May",
+    "June",
+    "July",
+    "August",
+    "September",
+    "October",
+    "November",
+    "December",
+  ],
+  [
+    "Jan",
+    "Feb",
+    "Mar",
+    "Apr",
+    "May",
+    "Jun",
+    "Jul",
+    "Aug",
+    "Sep",
+    "Oct",
+    "Nov",
+    "Dec",
+  ],
+];
+let fillHandle = null; // Handle mesh on the current selection outline
+let fillDrag = null; // { box, startPointer, steps, axis, count } while dragging
+
+// Project a point in the selection outline's space to client pixels
+function projectOutlinePoint(localPoint) {
+  return projectToClient(selectionOutline.localToWorld(localPoint.clone()));
+}
+
+// Client pixels of a world position
+function projectToClient(worldPoint) {
+  const vector = worldPoint.clone().project(camera);
+  const canvasHeight = window.innerHeight - TOOLBAR_HEIGHT;
+  return {
+    x: ((vector.x + 1) / 2) * window.innerWidth,
+    y: ((1 - vector.y) / 2) * canvasHeight + TOOLBAR_HEIGHT,
+  };
+}
+
+function isOverFillHandle(event) {
+  if (!fillHandle || !selectionOutline) return false;
+  selectionOutline.updateWorldMatrix(true, false);
+  const handle = projectOutlinePoint(fillHandle.position);
+  return (
+    Math.hypot(event.clientX - handle.x, event.clientY - handle.y) <=
+    FILL_HANDLE_HIT_RADIUS
+  );
+}
+
+// The selected block, grown to cover any merged block it overlaps
+function getSelectionBox() {
+  return expandBoxToMergedBlocks({
+    minX: Math.min(selectionStart.x, selectionEnd.x),
+    maxX: Math.max(selectionStart.x, selectionEnd.x),
+    minY: Math.min(selectionStart.y, selectionEnd.y),
+    maxY: Math.max(selectionStart.y, selectionEnd.y),
+    minZ: Math.min(selectionStart.z, selectionEnd.z),
+    maxZ: Math.max(selectionStart.z, selectionEnd.z),
+  });
+}
+
+function startFillDrag(event) {
+  if (isEditingCell && !finishEditing(true)) return;
+  selectionOutline.updateWorldMatrix(true, false);
+
+  // Screen direction of a one-cell step along each axis from the handle
+  const box = getSelectionBox();
+  const origin = fillHandle.position;
+  const handle = projectOutlinePoint(origin);
+  const steps = {};
+  [
+    ["x", new THREE.Vector3(getColumnWidth(box.maxX + 1), 0, 0)],
+    ["y", new THREE.Vector3(0, -(rowHeights[box.maxY + 1] || CELL_HEIGHT), 0)],
+    ["z", new THREE.Vector3(0, 0, getLayerDepth(box.maxZ + 1))],
+  ].forEach(([axis, step]) => {
+    const end = projectOutlinePoint(origin.clone().add(step));
+    steps[axis] = { x: end.x - handle.x, y: end.y - handle.y };
+  });
+
+  fillDrag = {
+    box,
+    startPointer: { x: event.clientX, y: event.clientY },
+    steps,
+    axis: null,
+    count: 0,
+  };
+  renderer.domElement.classList.add("filling");
+}
+
+// Pick the axis the pointer moved furthest along and preview the filled box
+function updateFillDrag(event) {
+  const { box, startPointer, steps } = fillDrag;
+  const deltaX = event.clientX - startPointer.x;
+  const deltaY = event.clientY - startPointer.y;
+
+  let best = null;
+  Object.entries(steps).forEach(([axis, step]) => {
+    const length = Math.hypot(step.x, step.y);
+    if (length < 3) return; // Axis points at the viewer
+    const along = (deltaX * step.x + deltaY * step.y) / length;
+    if (!best || Math.abs(along) > Math.abs(best.along)) {
+      best = { axis, along, cells: Math.round(along / length) };
+    }
+  });
+
+  // Dragging forward extends past the far edge (up to the end of the sheet);
+  // dragging back past the near edge extends before the selection. Inside the
+  // selection nothing fills.
+  let count = 0;
+  if (best) {
+    const name = best.axis.toUpperCase();
+    const min = box[`min${name}`];
+    const size = box[`max${name}`] - min + 1;
+    if (best.cells > 0) {
+      const limit = {
+        X: MAX_GRID_COLUMNS,
+        Y: MAX_GRID_ROWS,
+        Z: MAX_GRID_LAYERS,
+      };
+      count = Math.min(best.cells, limit[name] - 1 - box[`max${name}`]);
+    } else if (best.cells < -size) {
+      count = Math.max(best.cells + size, -min);
+    }
+  }
+  fillDrag.axis = count ? best.axis : null;
+  fillDrag.count = count;
+
+  const preview = getFillTargetBox(box, fillDrag.axis, count);
+  selectCubicRegion(
+    { x: preview.minX, y: preview.minY, z: preview.minZ },
+    { x: preview.maxX, y: preview.maxY, z: preview.maxZ }
+  );
+}
+
+function finishFillDrag() {
+  const { box, axis, count } = fillDrag;
+  fillDrag = null;
+  renderer.domElement.classList.remove("filling");
+
+  const target = getFillTargetBox(box, axis, count);
+  if (count) {
+    fillSeries(box, axis, count);
+  }
+  ensureGridExtent(target.maxX, target.maxY, target.maxZ);
+  selectionStart = getCell(target.minX, target.minY, target.minZ);
+  selectionEnd = getCell(target.maxX, target.maxY, target.maxZ);
+  selectCubicRegion(selectionStart, selectionEnd);
+}
+
+// The source box grown by `count` cells along `axis` (negative: before it)
+function getFillTargetBox(box, axis, count) {
+  const target = { ...box };
+  if (!axis || !count) return target;
+  const name = axis.toUpperCase();
+  if (count > 0) {
+    target[`max${name}`] += count;
+  } else {
+    target[`min${name}`] += count;
+  }
+  return target;
+}
+
+// Fill `count` cells past the source box along `axis`, one line at a time
+function fillSeries(box, axis, count) {
+  const [crossA, crossB] = ["X", "Y", "Z"].filter(
+    (name) => name !== axis.toUpperCase()
+  );
+  const min = box[`min${axis.toUpperCase()}`];
+  const max = box[`max${axis.toUpperCase()}`];
+  const forward = count > 0;
+
+  beginHistoryTransaction("Fill");
+  const target = getFillTargetBox(box, axis, count);
+  ensureGridExtent(target.maxX, target.maxY, target.maxZ);
+
+  for (let a = box[`min${crossA}`]; a <= box[`max${crossA}`]; a++) {
+    for (let b = box[`min${crossB}`]; b <= box[`max${crossB}`]; b++) {
+      const coordsAt = (position) => ({
+        [crossA.toLowerCase()]: a,
+        [crossB.toLowerCase()]: b,
+        [axis]: position,
+      });
+
+      // Source cells in the order the series runs
+      const sources = [];
+      for (let position = min; position <= max; position++) {
+        const coords = coordsAt(position);
+        const key = `${coords.x},${coords.y},${coords.z}`;
+        sources.push({ coords, state: captureCellState(key) });
+      }
+      if (!forward) sources.reverse();
+
+      const series = buildSeries(
+        sources.map(({ state }) => state.cellData),
+        forward ? 1 : -1
+      );
+
+      for (let i = 0; i < Math.abs(count); i++) {
+        const position = forward ? max + 1 + i : min - 1 - i;
+        const coords = coordsAt(position);
+        const key = `${coords.x},${coords.y},${coords.z}`;
+
+        // Formatting (and repeated content) comes from the matching source
+        // cell; comments stay with their own cells
+        const source = sources[i % sources.length];
+        const filled = { ...source.state };
+        delete filled.cellComments;
+        if (cellComments[key]) filled.cellComments = cellComments[key];
+        if (series) {
+          filled.cellData = series(sources.length + i);
+        } else if (isFormula(filled.cellData)) {
+          filled.cellData = shiftFormulaReferences(
+            filled.cellData,
+            coords.x - source.coords.x,
+            coords.y - source.coords.y
+          );
+        }
+
+        recordUndoState(key);
+        restoreCellState(key, filled);
+      }
+    }
+  }
+
+  commitHistoryTransaction();
+}
+
+// Recognize one source value of a series
+function parseFillValue(text) {
+  if (text === undefined || text === null) return null;
+  const trimmed = text.trim();
+  if (trimmed === "" || isFormula(text)) return null;
+
+  if (!isNaN(Number(trimmed))) {
+    return { kind: "number", value: Number(trimmed) };
+  }
+
+  let match = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    return parseFillDate(+match[1], +match[2], +match[3], "iso");
+  }
+  match = trimmed.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    return parseFillDate(+match[3], +match[1], +match[2], "us");
+  }
+
+  for (const list of FILL_LISTS) {
+    const index = list.findIndex(
+      (name) => name.toLowerCase() === trimmed.toLowerCase()
+    );
+    if (index !== -1) {
+      const casing =
+        trimmed === trimmed.toUpperCase()
+          ? "upper"
+          : trimmed === trimmed.toLowerCase()
+            ? "lower"
+            : "title";
+      return { kind: "list", group: list, value: index, casing };
+    }
+  }
+
+  match = trimmed.match(/^(Q|Qtr|Quarter)(\s*)([1-4])$/i);
+  if (match) {
+    return {
+      kind: "quarter",
+      group: match[1] + match[2],
+      value: Number(match[3]) - 1,
+    };
+  }
+
+  match = trimmed.match(/^(.*\D)(\d+)$/);
+  if (match) {
+    return {
+      kind: "suffix",
+      group: match[1],
+      value: Number(match[2]),
+      width: match[2].length,
+    };
+  }
+
+  return null;
+}
+
+function parseFillDate(year, month, day, format) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return {
+    kind: "date",
+    group: format,
+    value: date.getTime() / 86400000,
+    year,
+    month: month - 1,
+    day,
+  };
+}
+
+function formatFillDate(date, format) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + 1;
+  const day = date.getUTCDate();
+  if (format === "us") return `${month}/${day}/${year}`;
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function wrapIndex(value, length) {
+  return ((value % length) + length) % length;
+}
+
+// Constant step between consecutive values, or null when they don't have one.
+// A single value steps one way or the other depending on the fill direction.
+function getConstantStep(values, direction, modulo = null) {
+  if (values.length < 2) return direction;
+  const wrap = (value) => (modulo ? wrapIndex(value, modulo) : value);
+  const step = wrap(values[1] - values[0]);
+  for (let i = 2; i < values.length; i++) {
+    if (wrap(values[i] - values[i - 1]) !== step) return null;
+  }
+  return step;
+}
+
+// Turn the source texts of one line into a function giving the text at
+// position k (counting from the first source), or null to repeat the sources.
+// `direction` is -1 when filling up, left or towards the front layer.
+function buildSeries(texts, direction = 1) {
+  const items = texts.map(parseFillValue);
+  const first = items[0];
+  if (
+    !first ||
+    items.some(
+      (item) => !item || item.kind !== first.kind || item.group !== first.group
+    )
+  ) {
+    return null;
+  }
+  const values = items.map((item) => item.value);
+
+  switch (first.kind) {
+    case "number": {
+      // A single number is copied, like a spreadsheet fill without Ctrl
+      if (values.length < 2) return null;
+      // Least-squares line through the sources (exact for even steps)
+      const n = values.length;
+      const meanK = (n - 1) / 2;
+      const meanValue = values.reduce((sum, value) => sum + value, 0) / n;
+      let numerator = 0;
+      let denominator = 0;
+      values.forEach((value, k) => {
+        numerator += (k - meanK) * (value - meanValue);
+        denominator += (k - meanK) ** 2;
+      });
+      const slope = numerator / denominator;
+      return (k) => formatNumber(meanValue + slope * (k - meanK));
+    }
+
+    case "date": {
+      // Same day of month and an even month step: count in months
+      const months = items.map((item) => item.year * 12 + item.month);
+      const monthStep = getConstantStep(months, direction);
+      if (
+        items.length > 1 &&
+        monthStep &&
+        items.every((item) => item.day === first.day)
+      ) {
+        return (k) => {
+          const total = months[0] + monthStep * k;
+          const year = Math.floor(total / 12);
+          const month = total - year * 12;
+          const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+          return formatFillDate(
+            new Date(Date.UTC(year, month, Math.min(first.day, lastDay))),
+            first.group
+          );
+        };
+      }
+      // Otherwise count in days (uneven gaps use the average step)
+      const last = values[values.length - 1];
+      const dayStep =
+        getConstantStep(values, direction) ??
+        Math.round((last - values[0]) / (values.length - 1));
+      return (k) =>
+        formatFillDate(
+          new Date((values[0] + dayStep * k) * 86400000),
+          first.group
+        );
+    }
+
+    case "list": {
+      const length = first.group.length;
+      const step = getConstantStep(values, direction, length) ?? 1;
+      return (k) => {
+        const name = first.group[wrapIndex(values[0] + step * k, length)];
+        if (first.casing === "upper") return name.toUpperCase();
+        if (first.casing === "lower") return name.toLowerCase();
+        return name;
+      };
+    }
+
+    case "quarter": {
+      const step = getConstantStep(values, direction, 4) ?? 1;
+      return (k) => `${first.group}${wrapIndex(values[0] + step * k, 4) + 1}`;
+    }
+
+    case "suffix": {
+      const step = getConstantStep(values, direction) ?? 1;
+      return (k) =>
+        first.group +
+        String(Math.abs(values[0] + step * k)).padStart(first.width, "0");
+    }
+  }
+  return null;
+}
+
+// Resizing
+// Dragging the border after a column label (or below a row label) resizes
+// that column (or row); double-clicking the border fits it to its content.
+// Layer depths, and exact sizes, are set in the size dialog.
+const RESIZE_HIT_DISTANCE = 5; // px from a label border
+const RESIZE_AXES = {
+  column: { sizes: columnWidths, getSize: getColumnWidth },
+  row: { sizes: rowHeights, getSize: (y) => rowHeights[y] || CELL_HEIGHT },
+  layer: { sizes: layerDepths, getSize: getLayerDepth },
+};
+let resizeDrag = null; // { axis, index, startPointer, startSize, step } while dragging
+let resizeLayoutDirty = false; // Dragged sizes not laid out yet (once per frame)
+
+// Border end points of a column's or row's label, in the pivot's space
+function getLabelBorder(axis, index) {
+  if (axis === "column") {
+    const x = LABEL_OFFSET_X + getColumnLeft(index + 1);
+    return [new THREE.Vector3(x, -LABEL_OFFSET_Y, 0), new THREE.Vector3(x, 0, 0)];
+  }
+  const y = -LABEL_OFFSET_Y - getRowTop(index + 1);
+  return [new THREE.Vector3(0, y, 0), new THREE.Vector3(LABEL_OFFSET_X, y, 0)];
+}
+
+function distanceToSegment(point, start, end) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t =
+    lengthSquared === 0
+      ? 0
+      : Math.max(
+          0,
+          Math.min(
+            1,
+            ((point.x - start.x) * dx + (point.y - start.y) * dy) /
+              lengthSquared
+          )
+        );
+  return Math.hypot(point.x - start.x - t * dx, point.y - start.y - t * dy);
+}
+
+// Column or row whose label border is under the pointer, or null. Only the
+// borders on either side of the column and row under the pointer are checked.
+function getResizeBorderAt(event) {
+  pivot.updateWorldMatrix(true, false);
+  const raycaster = new THREE.Raycaster();
+  raycaster.setFromCamera(getMouseCoordinates(event), camera);
+  const hit = raycaster.ray
+    .applyMatrix4(pivot.matrixWorld.clone().invert())
+    .intersectPlane(
+      new THREE.Plane(new THREE.Vector3(0, 0, 1), 0),
+      new THREE.Vector3()
+    );
+  if (!hit) return null;
+
+  const pointer = { x: event.clientX, y: event.clientY };
+  const isNear = (axis, index) => {
+    const [start, end] = getLabelBorder(axis, index).map((point) =>
+      projectToClient(pivot.localToWorld(point))
+    );
+    return distanceToSegment(pointer, start, end) <= RESIZE_HIT_DISTANCE;
+  };
+
+  const x = getLayoutIndexAt(
+    columnLefts,
+    hit.x - LABEL_OFFSET_X,
+    getColumnWidth,
+    MAX_GRID_COLUMNS
+  );
+  for (const column of [x - 1, x]) {
+    if (columnLabels.has(column) && isNear("column", column)) {
+      return { axis: "column", index: column };
+    }
+  }
+  const y = getLayoutIndexAt(
+    rowTops,
+    -hit.y - LABEL_OFFSET_Y,
+    getRowHeight,
+    MAX_GRID_ROWS
+  );
+  for (const row of [getNextVisibleRow(y, -1), y]) {
+    if (rowLabels.has(row) && !hiddenRows.has(row) && isNear("row", row)) {
+      return { axis: "row", index: row };
+    }
+  }
+  return null;
+}
+
+function startResizeDrag(border, event) {
+  if (isEditingCell && !finishEditing(true)) return;
+
+  // Screen movement per world unit of size
+  const [start] = getLabelBorder(border.axis, border.index);
+  const unit =
+    border.axis === "column"
+      ? new THREE.Vector3(1, 0, 0)
+      : new THREE.Vector3(0, -1, 0);
+  const from = projectToClient(pivot.localToWorld(start.clone()));
+  const to = projectToClient(pivot.localToWorld(start.clone().add(unit)));
+
+  resizeDrag = {
+    ...border,
+    startPointer: { x: event.clientX, y: event.clientY },
+    startSize: RESIZE_AXES[border.axis].getSize(border.index),
+    step: { x: to.x - from.x, y: to.y - from.y },
+  };
+  beginHistoryTransaction(`Resize ${border.axis}`);
+}
+
+function updateResizeDrag(event) {
+  const { axis, index, startPointer, startSize, step } = resizeDrag;
+  const lengthSquared = step.x * step.x + step.y * step.y;
+  if (lengthSquared === 0) return;
+  const moved =
+    ((event.clientX - startPointer.x) * step.x +
+      (event.clientY - startPointer.y) * step.y) /
+    lengthSquared;
+  setLayoutSize(RESIZE_AXES[axis].sizes, index, startSize + moved);
+  resizeLayoutDirty = true; // Laid out on the next frame
+}
+
+function finishResizeDrag() {
+  resizeDrag = null;
+  if (resizeLayoutDirty) {
+    resizeLayoutDirty = false;
+    relayoutCells();
+  }
+  renderer.domElement.classList.remove("resizing-column", "resizing-row");
+  commitHistoryTransaction();
+}
+
+// Size that fits the text of every unmerged cell in a column or row (the
+// default when it has none). Rows never fit below the default row height.
+function getAutoFitSize(axis, index) {
+  if (textLayoutDirty) {
+    rebuildTextInstances(); // Wrapped text follows the current column widths
+  }
+
+  let size = 0;
+  cellTextLayouts.forEach((layout) => {
+    // Merged blocks spread their text over several columns and rows
+    if (mergedCells.has(`${layout.x},${layout.y},${layout.z}`)) return;
+    if (axis === "column" && layout.x === index && !hiddenRows.has(layout.y)) {
+      size = Math.max(
+        size,
+        (layout.textWidth * TEXT_SCALE_X) / TEXT_BOX_SHARE
+      );
+    } else if (axis === "row" && layout.y === index) {
+      size = Math.max(
+        size,
+        (layout.textHeight + TEXT_PADDING_Y * 2) * TEXT_SCALE_Y
+      );
+    }
+  });
+  if (axis === "row") {
+    return size > CELL_HEIGHT ? size : null;
+  }
+  return size > 0 ? size : null;
+}
+
+function autoFitSize(axis, index) {
+  beginHistoryTransaction(`Auto-fit ${axis}`);
+  setLayoutSize(RESIZE_AXES[axis].sizes, index, getAutoFitSize(axis, index));
+  relayoutCells();
+  commitHistoryTransaction();
+}
+
+function onLabelDoubleClick(event) {
+  const border = getResizeBorderAt(event);
+  if (border) {
+    autoFitSize(border.axis, border.index);
+  }
+}
+
+// Sizes of the first selected column, row and layer for the size dialog
+function getSelectionSizes() {
+  if (!selectionStart || !selectionEnd) return null;
+  const sizes = {};
+  Object.entries(RESIZE_AXES).forEach(([axis, { getSize }]) => {
+    const span = getSelectedSpan(axis);
+    sizes[axis] = {
+      label: getSelectedSpanLabel(axis),
+      size: getSize(span.start),
+      custom: RESIZE_AXES[axis].sizes[span.start] !== undefined,
+    };
+  });
+  return sizes;
+}
+
+// Resize every selected column, row and/or layer: { column, row, layer }
+// map to a size, null for the default, or undefined to leave them as they are
+function setSelectionSizes(sizes) {
+  if (!selectionStart || !selectionEnd) return false;
+
+  beginHistoryTransaction("Resize");
+  Object.entries(RESIZE_AXES).forEach(([axis, config]) => {
+    if (sizes[axis] === undefined) return;
+    const span = getSelectedSpan(axis);
+    for (let i = span.start; i < span.start + span.count; i++) {
+      setLayoutSize(config.sizes, i, sizes[axis]);
+    }
+  });
+  relayoutCells();
+  commitHistoryTransaction();
+  return true;
+}
+
+// Merged cells
+// Merge & Center joins a cubic selection into one cell that can span columns,
+// rows and layers. Only the anchor's (top-left-front cell's) content shows;
+// the other cells keep theirs, so unmerging brings them back.
+function boxesOverlap(a, b) {
+  return (
+    a.minX <= b.maxX &&
+    b.minX <= a.maxX &&
+    a.minY <= b.maxY &&
+    b.minY <= a.maxY &&
+    a.minZ <= b.maxZ &&
+    b.minZ <= a.maxZ
+  );
+}
+
+// Grow a box until every merged block it overlaps lies completely inside it
+function expandBoxToMergedBlocks(box) {
+  const expanded = { ...box };
+  const blocks = getMergedBlocks();
+  let grew = true;
+  while (grew) {
+    grew = false;
+    blocks.forEach((block) => {
+      if (!boxesOverlap(expanded, block)) return;
+      ["X", "Y", "Z"].forEach((axis) => {
+        if (block[`min${axis}`] < expanded[`min${axis}`]) {
+          expanded[`min${axis}`] = block[`min${axis}`];
+          grew = true;
+        }
+        if (block[`max${axis}`] > expanded[`max${axis}`]) {
+          expanded[`max${axis}`] = block[`max${axis}`];
+          grew = true;
+        }
+      });
+    });
+  }
+  return expanded;
+}
+
+// Whether the selected (anchor) cell is part of a merged block
+function isSelectionMerged() {
+  return Boolean(
+    selectionStart &&
+      getMergedBlock(selectionStart.x, selectionStart.y, selectionStart.z)
+  );
+}
+
+// Merge the selection into one centred cell, absorbing merged blocks inside it
+function mergeSelection() {
+  if (!selectionStart || !selectionEnd) return false;
+  if (isEditingCell && !finishEditing(true)) return false;
+
+  const box = getSelectionBox();
+  const { minX, maxX, minY, maxY, minZ, maxZ } = box;
+  if (minX === maxX && minY === maxY && minZ === maxZ) return false;
+  const span = [maxX - minX + 1, maxY - minY + 1, maxZ - minZ + 1].join(",");
+  if (!isValidMergeSpan(span)) {
+    alert(`Merged cells can cover up to ${MAX_MERGE_CELLS} cells.`);
+    return false;
+  }
+
+  beginHistoryTransaction("Merge cells");
+  getMergedBlocks()
+    .filter((block) => boxesOverlap(box, block))
+    .forEach((block) => {
+      recordUndoState(block.key);
+      delete cellMergeSpans[block.key];
+    });
+  const anchor = `${minX},${minY},${minZ}`;
+  recordUndoState(anchor);
+  cellMergeSpans[anchor] = span;
+  delete cellHorizontalAlign[anchor];
+  relayoutCells();
+  if (cellData[anchor]) {
+    updateCellText(minX, minY, minZ, cellData[anchor]);
+  }
+  commitHistoryTransaction();
+
+  selectionStart = getCell(minX, minY, minZ);
+  selectionEnd = selectionStart;
+  selectCubicRegion(selectionStart, selectionEnd);
+  return true;
+}
+
+// Split every merged block in the selection back into its cells
+function unmergeSelection() {
+  if (!selectionStart || !selectionEnd) return false;
+  if (isEditingCell && !finishEditing(true)) return false;
+
+  const box = getSelectionBox();
+  const blocks = getMergedBlocks().filter((block) => boxesOverlap(box, block));
+  if (!blocks.length) return false;
+
+  beginHistoryTransaction("Unmerge cells");
+  blocks.forEach((block) => {
+    recordUndoState(block.key);
+    delete cellMergeSpans[block.key];
+  });
+  relayoutCells();
+  commitHistoryTransaction();
+  return true;
+}
+
+// Merge & Center button: unmerge when the selected cell is merged, else merge
+function toggleMergeSelection() {
+  if (isSelectionMerged()) {
+    unmergeSelection();
+  } else {
+    mergeSelection();
+  }
+  return isSelectionMerged();
+}
+
+// Conditional formatting
+// Rules color the cells of a cubic range by their values: comparisons, top or
+// bottom N (or N%), "text contains", and two- or three-color scales. A scale
+// spans the whole range, every layer included, so outliers in depth stand out.
+// Rule colors are kept apart from cellBackgroundColors and drawn over them;
+// when several rules match a cell, the oldest wins.
+const CONDITIONAL_FORMAT_TYPES = [
+  "greater",
+  "less",
+  "between",
+  "equal",
+  "top",
+  "bottom",
+  "contains",
+  "scale",
+];
+const conditionalColors = new Map(); // "x,y,z" -> color from the rules
+let conditionalFormatsDirty = false; // Values or rules changed since the last evaluation
+
+// Color a cell is filled with: the error fill when it breaks its validation
+// rule, else a matching conditional format's, else its own background
+function getCellFillColor(key) {
+  if (invalidCells.has(key)) return INVALID_CELL_COLOR;
+  return conditionalColors.get(key) || cellBackgroundColors[key];
+}
+
+function isInBox(x, y, z, box) {
+  return (
+    x >= box.minX &&
+    x <= box.maxX &&
+    y >= box.minY &&
+    y <= box.maxY &&
+    z >= box.minZ &&
+    z <= box.maxZ
+  );
+}
+
+// Cells with a value inside a box, with their values
+function getRangeValues(box) {
+  const cells = [];
+  Object.keys(cellData).forEach((key) => {
+    const [x, y, z] = key.split(",").map(Number);
+    if (isInBox(x, y, z, box)) {
+      cells.push({ key, value: getCellValue(x, y, z) });
+    }
+  });
+  return cells;
+}
+
+// Color between two colors, or along three colors when `colors` has three
+function interpolateColors(colors, t) {
+  let from = colors[0];
+  let to = colors[colors.length - 1];
+  if (colors.length === 3) {
+    [from, to] = t < 0.5 ? [colors[0], colors[1]] : [colors[1], colors[2]];
+    t = t < 0.5 ? t * 2 : t * 2 - 1;
+  }
+  return `#${new THREE.Color(from).lerp(new THREE.Color(to), t).getHexString()}`;
+}
+
+// Colors one rule gives its cells: "x,y,z" -> color
+function evaluateConditionalFormat(rule) {
+  const colors = new Map();
+  const cells = getRangeValues(rule.range);
+  const numbers = cells.filter(({ value }) => typeof value === "number");
+
+  if (rule.type === "scale") {
+    // Three-color scales put the middle color on the median
+    const sorted = numbers.map(({ value }) => value).sort((a, b) => a - b);
+    if (!sorted.length) return colors;
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    const middle = sorted[Math.floor((sorted.length - 1) / 2)];
+    numbers.forEach(({ key, value }) => {
+      let t = 0.5;
+      if (rule.colors.length === 3) {
+        if (value < middle) t = ((value - min) / (middle - min)) * 0.5;
+        else if (value > middle) t = 0.5 + ((value - middle) / (max - middle)) * 0.5;
+      } else if (max > min) {
+        t = (value - min) / (max - min);
+      }
+      colors.set(key, interpolateColors(rule.colors, t));
+    });
+    return colors;
+  }
+
+  if (rule.type === "top" || rule.type === "bottom") {
+    const sorted = numbers
+      .map(({ value }) => value)
+      .sort((a, b) => (rule.type === "top" ? b - a : a - b));
+    const count = rule.percent
+      ? Math.max(1, Math.floor((sorted.length * rule.value) / 100))
+      : Math.floor(rule.value);
+    if (!sorted.length || count < 1) return colors;
+    const threshold = sorted[Math.min(count, sorted.length) - 1];
+    numbers.forEach(({ key, value }) => {
+      if (rule.type === "top" ? value >= threshold : value <= threshold) {
+        colors.set(key, rule.color);
+      }
+    });
+    return colors;
+  }
+
+  cells.forEach(({ key, value }) => {
+    let matches = false;
+    if (rule.type === "contains") {
+      matches =
+        !(value instanceof FormulaError) &&
+        toText(value).toLowerCase().includes(String(rule.text).toLowerCase());
+    } else if (typeof value === "number") {
+      matches =
+        (rule.type === "greater" && value > rule.value) ||
+        (rule.type === "less" && value < rule.value) ||
+        (rule.type === "equal" && value === rule.value) ||
+        (rule.type === "between" &&
+          value >= Math.min(rule.value, rule.value2) &&
+          value <= Math.max(rule.value, rule.value2));
+    }
+    if (matches) colors.set(key, rule.color);
+  });
+  return colors;
+}
+
+// Evaluate every rule and redraw the cells whose rule color changed
+function applyConditionalFormats() {
+  conditionalFormatsDirty = false;
+
+  const colors = new Map();
+  Object.values(conditionalFormats).forEach((rule) => {
+    evaluateConditionalFormat(rule).forEach((color, key) => {
+      if (!colors.has(key)) colors.set(key, color);
+    });
+  });
+
+  const changed = new Set();
+  conditionalColors.forEach((color, key) => {
+    if (colors.get(key) !== color) changed.add(key);
+  });
+  colors.forEach((color, key) => {
+    if (conditionalColors.get(key) !== color) changed.add(key);
+  });
+  conditionalColors.clear();
+  colors.forEach((color, key) => conditionalColors.set(key, color));
+  changed.forEach((key) => {
+    const [x, y, z] = key.split(",").map(Number);
+    updateCellAppearance(x, y, z);
+  });
+}
+
+// Add a rule for the selected cells; returns its id. A rule is
+// { type, value, value2, percent, text, color, colors } with the fields its
+// type uses, e.g. { type: "greater", value: 100, color: "#f4cccc" }.
+function addConditionalFormat(rule) {
+  if (!selectionStart || !selectionEnd) return null;
+  if (!CONDITIONAL_FORMAT_TYPES.includes(rule.type)) return null;
+
+  const ids = Object.keys(conditionalFormats).map(Number);
+  const id = String(ids.length ? Math.max(...ids) + 1 : 1);
+  beginHistoryTransaction("Conditional formatting");
+  conditionalFormats[id] = { ...rule, range: getSelectionBox() };
+  conditionalFormatsDirty = true;
+  commitHistoryTransaction();
+  return id;
+}
+
+function removeConditionalFormat(id) {
+  if (!conditionalFormats[id]) return false;
+  beginHistoryTransaction("Remove conditional formatting");
+  delete conditionalFormats[id];
+  conditionalFormatsDirty = true;
+  commitHistoryTransaction();
+  return true;
+}
+
+// Describe a rule for the rules list, e.g. "Value > 100"
+function describeConditionalFormat(rule) {
+  switch (rule.type) {
+    case "greater":
+      return `Value > ${rule.value}`;
+    case "less":
+      return `Value < ${rule.value}`;
+    case "between":
+      return `Value between ${rule.value} and ${rule.value2}`;
+    case "equal":
+      return `Value = ${rule.value}`;
+    case "top":
+    case "bottom":
+      return `${rule.type === "top" ? "Top" : "Bottom"} ${rule.value}${rule.percent ? "%" : ""}`;
+    case "contains":
+      return `Text contains "${rule.text}"`;
+    default:
+      return `${rule.colors.length}-color scale`;
+  }
+}
+
+// Rules for the conditional formatting dialog
+function getConditionalFormats() {
+  return Object.entries(conditionalFormats).map(([id, rule]) => ({
+    id,
+    description: describeConditionalFormat(rule),
+    range: formatBoxLabel(rule.range),
+    color: rule.type === "scale" ? null : rule.color,
+    colors: rule.type === "scale" ? rule.colors : null,
+  }));
+}
+
+// Move or resize rule ranges with inserted and deleted rows/columns/layers
+function shiftConditionalFormats(axis, at, count) {
+  const name = ["X", "Y", "Z"][STRUCTURE_AXES[axis].index];
+  Object.entries(conditionalFormats).forEach(([id, rule]) => {
+    const span = shiftAxisSpan(
+      rule.range[`min${name}`],
+      rule.range[`max${name}`],
+      at,
+      count
+    );
+    if (!span) {
+      delete conditionalFormats[id];
+      return;
+    }
+    conditionalFormats[id] = {
+      ...rule,
+      range: { ...rule.range, [`min${name}`]: span[0], [`max${name}`]: span[1] },
+    };
+  });
+  conditionalFormatsDirty = true;
+}
+
+// Data validation
+// Rules limit what goes into the cells of a cubic range: one of a list of
+// values (offered in a dropdown while editing), whole or decimal numbers, dates
+// or text up to a length. Typed entries that break a "stop" rule aren't
+// accepted and stay in edit mode; "warning" rules keep them. Either way, cells
+// breaking their rule (also after a paste, fill or formula change) show the
+// error fill until fixed.
+// Where rules overlap, the newest one applies.
+const DATA_VALIDATION_TYPES = ["list", "whole", "decimal", "date", "length"];
+const INVALID_CELL_COLOR = "#ffc7ce";
+const invalidCells = new Set(); // "x,y,z" of cells breaking their rule
+let dataValidationsDirty = false; // Values or rules changed since the last check
+let validationListCell = null; // Cell whose list dropdown is shown
+
+// Rule that applies to a cell, or null
+function getCellValidation(x, y, z) {
+  const rules = Object.values(dataValidations);
+  for (let i = rules.length - 1; i >= 0; i--) {
+    if (isInBox(x, y, z, rules[i].range)) return rules[i];
+  }
+  return null;
+}
+
+// Excel serial day of a date: a serial number, or "2024-01-31" or "1/31/2024"
+function getDateSerial(value) {
+  if (typeof value === "number") return value;
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim();
+  let date = null;
+  let match = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    date = parseFillDate(+match[1], +match[2], +match[3], "iso");
+  } else if ((match = trimmed.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+    date = parseFillDate(+match[3], +match[1], +match[2], "us");
+  }
+  return date ? date.value - EXCEL_EPOCH / 86400000 : null;
+}
+
+// Whether a cell value passes a rule (blank cells always do). Missing minimums
+// and maximums leave that end open.
+function isValidEntry(rule, value) {
+  if (value === null) return true;
+  const inRange = (number, min, max) =>
+    (min === null || number >= min) && (max === null || number <= max);
+
+  switch (rule.type) {
+    case "list": {
+      const text = formatCellValue(value).trim().toLowerCase();
+      return rule.values.some((item) => item.trim().toLowerCase() === text);
+    }
+    case "whole":
+      return Number.isInteger(value) && inRange(value, rule.min, rule.max);
+    case "decimal":
+      return typeof value === "number" && inRange(value, rule.min, rule.max);
+    case "date": {
+      const serial = getDateSerial(value);
+      return (
+        serial !== null &&
+        inRange(serial, getDateSerial(rule.min), getDateSerial(rule.max))
+      );
+    }
+    default:
+      return inRange(formatCellValue(value).length, rule.min, rule.max);
+  }
+}
+
+// Check every cell against its rule and redraw the cells whose flag changed
+function applyDataValidations() {
+  dataValidationsDirty = false;
+
+  const invalid = new Set();
+  if (Object.keys(dataValidations).length > 0) {
+    Object.keys(cellData).forEach((key) => {
+      const [x, y, z] = key.split(",").map(Number);
+      const rule = getCellValidation(x, y, z);
+      if (rule && !isValidEntry(rule, getCellValue(x, y, z))) {
+        invalid.add(key);
+      }
+    });
+  }
+
+  const changed = [
+    ...[...invalidCells].filter((key) => !invalid.has(key)),
+    ...[...invalid].filter((key) => !invalidCells.has(key)),
+  ];
+  invalidCells.clear();
+  invalid.forEach((key) => invalidCells.add(key));
+  changed.forEach((key) => {
+    const [x, y, z] = key.split(",").map(Number);
+    updateCellAppearance(x, y, z);
+  });
+}
+
+// Add a rule for the selected cells; returns its id. A rule is
+// { type, values, min, max, errorStyle } with the fields its type uses, e.g.
+// { type: "whole", min: 1, max: 10, errorStyle: "stop" }. Dates are given as
+// "YYYY-MM-DD" text.
+function addDataValidation(rule) {
+  if (!selectionStart || !selectionEnd) return null;
+  if (!DATA_VALIDATION_TYPES.includes(rule.type)) return null;
+
+  const ids = Object.keys(dataValidations).map(Number);
+  const id = String(ids.length ? Math.max(...ids) + 1 : 1);
+  beginHistoryTransaction("Data validation");
+  dataValidations[id] = {
+    min: null,
+    max: null,
+    errorStyle: "stop",
+    ...rule,
+    range: getSelectionBox(),
+  };
+  dataValidationsDirty = true;
+  commitHistoryTransaction();
+  return id;
+}
+
+function removeDataValidation(id) {
+  if (!dataValidations[id]) return false;
+  beginHistoryTransaction("Remove data validation");
+  delete dataValidations[id];
+  dataValidationsDirty = true;
+  commitHistoryTransaction();
+  return true;
+}
+
+// Describe a rule for the rules list and error messages, e.g. "Whole number
+// between 1 and 10"
+function describeDataValidation(rule) {
+  const names = {
+    whole: "Whole number",
+    decimal: "Number",
+    date: "Date",
+    length: "Text length",
+  };
+  if (rule.type === "list") {
+    return `One of ${rule.values.join(", ")}`;
+  }
+  const name = names[rule.type];
+  if (rule.min !== null && rule.max !== null) {
+    return `${name} between ${rule.min} and ${rule.max}`;
+  }
+  if (rule.min !== null) return `${name} of at least ${rule.min}`;
+  if (rule.max !== null) return `${name} of at most ${rule.max}`;
+  return rule.type === "length" ? "Any text" : name;
+}
+
+// Rules for the data validation dialog
+function getDataValidations() {
+  return Object.entries(dataValidations).map(([id, rule]) => ({
+    id,
+    description: describeDataValidation(rule),
+    range: formatBoxLabel(rule.range),
+    errorStyle: rule.errorStyle,
+  }));
+}
+
+// Move or resize rule ranges with inserted and deleted rows/columns/layers
+function shiftDataValidations(axis, at, count) {
+  const name = ["X", "Y", "Z"][STRUCTURE_AXES[axis].index];
+  Object.entries(dataValidations).forEach(([id, rule]) => {
+    const span = shiftAxisSpan(
+      rule.range[`min${name}`],
+      rule.range[`max${name}`],
+      at,
+      count
+    );
+    if (!span) {
+      delete dataValidations[id];
+      return;
+    }
+    dataValidations[id] = {
+      ...rule,
+      range: { ...rule.range, [`min${name}`]: span[0], [`max${name}`]: span[1] },
+    };
+  });
+  dataValidationsDirty = true;
+}
+
+// Show the values of a list rule under the cell being edited; picking one
+// enters it
+function showValidationList(x, y, z) {
+  const rule = getCellValidation(x, y, z);
+  if (!rule || rule.type !== "list") {
+    hideValidationList();
+    return;
+  }
+
+  const list = document.getElementById("validation-list");
+  list.innerHTML = "";
+  rule.values.forEach((value) => {
+    const option = document.createElement("div");
+    option.className = "validation-option";
+    option.textContent = value;
+    // Keep the grid's edit session: mousedown would otherwise end it
+    option.addEventListener("mousedown", (event) => event.preventDefault());
+    option.addEventListener("click", () => pickValidationListValue(value));
+    list.appendChild(option);
+  });
+  validationListCell = { x, y, z };
+  list.style.display = "block";
+  positionValidationList();
+}
+
+function hideValidationList() {
+  validationListCell = null;
+  document.getElementById("validation-list").style.display = "none";
+}
+
+// Keep the dropdown under the bottom-left corner of its cell as the view moves
+function positionValidationList() {
+  const { x, y, z } = validationListCell;
+  const bounds = getCellBounds(x, y, z);
+  if (!bounds) return;
+  const corner = projectToClient(
+    pivot.localToWorld(
+      new THREE.Vector3(
+        bounds.x - bounds.width / 2,
+        bounds.y - bounds.height / 2,
+        bounds.z
+      )
+    )
+  );
+  const list = document.getElementById("validation-list");
+  list.style.left = `${corner.x}px`;
+  list.style.top = `${corner.y}px`;
+}
+
+function pickValidationListValue(value) {
+  if (!isEditingCell || !editingCellCoords) return;
+  const { x, y, z } = editingCellCoords;
+  editingText = value;
+  updateCellText(x, y, z, value);
+  finishEditing(true);
+}
+
+// Comments
+// Every cell can hold a thread of comments, oldest first. Commented cells get a
+// small red corner marker, and the thread shows in a note next to the cell
+// while it is hovered or selected. Threads are replaced rather than changed in
+// place, so history snapshots keep their own copies.
+const COMMENT_MARKER_SIZE = 16;
+let commentMarkers = null; // Instanced corner markers, one per commented cell
+let commentMarkersDirty = false; // Comments or the layout changed
+let hoveredCommentCell = null; // Commented cell under the pointer
+let shownCommentKey = null; // Cell whose note is showing
+let shownCommentThread = null;
+
+// Add a comment to the selected cell (a selected block's first cell)
+function addComment(text, author = "") {
+  if (!selectionStart || !text.trim()) return false;
+  if (isEditingCell && !finishEditing(true)) return false;
+
+  const { x, y, z } = selectionStart;
+  const key = `${x},${y},${z}`;
+  beginHistoryTransaction("Add comment");
+  recordUndoState(key);
+  cellComments[key] = [
+    ...(cellComments[key] || []),
+    { author: author.trim(), text: text.trim(), timestamp: Date.now() },
+  ];
+  commentMarkersDirty = true;
+  commitHistoryTransaction();
+  return true;
+}
+
+// Delete one comment; a thread goes away with its last comment
+function removeComment(x, y, z, index) {
+  const key = `${x},${y},${z}`;
+  const thread = cellComments[key];
+  if (!thread || !thread[index]) return false;
+
+  beginHistoryTransaction("Delete comment");
+  recordUndoState(key);
+  if (thread.length === 1) {
+    delete cellComments[key];
+  } else {
+    cellComments[key] = thread.filter((comment, i) => i !== index);
+  }
+  commentMarkersDirty = true;
+  commitHistoryTransaction();
+  return true;
+}
+
+// Every thread for the comments panel, by layer, then row, then column
+function getAllComments() {
+  return Object.entries(cellComments)
+    .map(([key, thread]) => {
+      const [x, y, z] = key.split(",").map(Number);
+      return {
+        x,
+        y,
+        z,
+        label: getCellLabel(x, y, z),
+        comments: thread.map((comment) => ({ ...comment })),
+      };
+    })
+    .sort((a, b) => a.z - b.z || a.y - b.y || a.x - b.x);
+}
+
+// Label of the cell new comments go to, or "" without a selection
+function getCommentCellLabel() {
+  if (!selectionStart) return "";
+  return getCellLabel(selectionStart.x, selectionStart.y, selectionStart.z);
+}
+
+// Top-right corner of a cell's face towards the default view, in the pivot
+function getCommentCorner(bounds) {
+  return new THREE.Vector3(
+    bounds.x + bounds.width / 2,
+    bounds.y + bounds.height / 2,
+    bounds.z + bounds.depth / 2
+  );
+}
+
+// Put a marker, the cut-off corner of the cell box, on every visible
+// commented cell
+function rebuildCommentMarkers() {
+  commentMarkersDirty = false;
+
+  const corners = [];
+  Object.keys(cellComments).forEach((key) => {
+    const [x, y, z] = key.split(",").map(Number);
+    const bounds = hiddenRows.has(y) ? null : getCellBounds(x, y, z);
+    if (bounds) corners.push(getCommentCorner(bounds));
+  });
+
+  if (!commentMarkers || corners.length > commentMarkers.instanceMatrix.count) {
+    let geometry;
+    let material;
+    if (commentMarkers) {
+      ({ geometry, material } = commentMarkers);
+      pivot.remove(commentMarkers);
+      commentMarkers.dispose();
+    } else {
+      const size = COMMENT_MARKER_SIZE;
+      geometry = new THREE.BufferGeometry();
+      geometry.setAttribute(
+        "position",
+        new THREE.Float32BufferAttribute(
+          [0, 0, 0, -size, 0, 0, 0, -size, 0, 0, 0, -size],
+          3
+        )
+      );
+      geometry.setIndex([0, 1, 2, 0, 2, 3, 0, 3, 1, 1, 3, 2]);
+      material = new THREE.MeshBasicMaterial({
+        color: 0xe53935,
+        side: THREE.DoubleSide,
+      });
+    }
+    const capacity = Math.max(
+      corners.length,
+      commentMarkers ? commentMarkers.instanceMatrix.count * 2 : 64
+    );
+    commentMarkers = new THREE.InstancedMesh(geometry, material, capacity);
+    pivot.add(commentMarkers);
+  }
+
+  corners.forEach((corner, index) => {
+    cellMatrix.makeTranslation(corner.x, corner.y, corner.z);
+    commentMarkers.setMatrixAt(index, cellMatrix);
+  });
+  commentMarkers.count = corners.length;
+  commentMarkers.instanceMatrix.needsUpdate = true;
+  commentMarkers.boundingSphere = null; // Recomputed for frustum culling
+}
+
+// Show the thread of the hovered cell, or else of the selected one, next to
+// its corner marker
+function updateCommentNote() {
+  const note = document.getElementById("comment-note");
+  const cell =
+    hoveredCommentCell || (isEditingCell ? null : selectionStart) || null;
+  const key = cell ? `${cell.x},${cell.y},${cell.z}` : null;
+  const thread = key ? cellComments[key] : undefined;
+  const bounds =
+    thread && !hiddenRows.has(cell.y)
+      ? getCellBounds(cell.x, cell.y, cell.z)
+      : null;
+
+  if (!bounds) {
+    if (shownCommentKey !== null) {
+      note.style.display = "none";
+      shownCommentKey = null;
+      shownCommentThread = null;
+    }
+    return;
+  }
+
+  if (key !== shownCommentKey || thread !== shownCommentThread) {
+    note.innerHTML = "";
+    thread.forEach((comment) => {
+      const entry = document.createElement("div");
+      entry.className = "comment-note-entry";
+      const author = document.createElement("div");
+      author.className = "comment-note-author";
+      author.textContent = `${comment.author || "Anonymous"} · ${new Date(
+        comment.timestamp
+      ).toLocaleString()}`;
+      const text = document.createElement("div");
+      text.textContent = comment.text;
+      entry.append(author, text);
+      note.appendChild(entry);
+    });
+    note.style.display = "block";
+    shownCommentKey = key;
+    shownCommentThread = thread;
+  }
+
+  const corner = projectToClient(pivot.localToWorld(getCommentCorner(bounds)));
+  note.style.left = `${corner.x + 8}px`;
+  note.style.top = `${corner.y}px`;
+}
+
+// Named ranges
+// Names like "Revenue" stand for a cubic range. The name box in the toolbar
+// shows the selection as an address (or its name when a name covers exactly
+// that range); typing a name or an address there selects it, and typing a new
+// name defines it for the selection. Names are matched case-insensitively.
+const RANGE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_.]*$/;
+
+// Absolute address of a range: "II!B3", "II!B2:M2" or "B2:M2:I:V"
+function formatAddress(box) {
+  return formatRangeReference(box, -1);
+}
+
+// Range of an address like "B3", "II!B3:C5" or "B2:M2:I:V", or null. Addresses
+// without a layer are on the layer of the selection.
+function parseAddress(text) {
+  const trimmed = text.trim();
+  const match = trimmed.match(REFERENCE_PATTERN);
+  if (!match || match[0].length !== trimmed.length) return null;
+  try {
+    const box = parseReferenceMatch(match, {
+      z: selectionStart ? selectionStart.z : 0,
+    });
+    return box; // Off-sheet references throw #REF!
+  } catch (error) {
+    return null;
+  }
+}
+
+// Key of a defined name, whatever its case, or null
+function findRangeName(name) {
+  const lower = name.trim().toLowerCase();
+  return (
+    Object.keys(namedRanges).find((key) => key.toLowerCase() === lower) || null
+  );
+}
+
+// Names can't look like a cell reference, even one past the end of the sheet
+function isValidRangeName(name) {
+  const reference = name.match(REFERENCE_PATTERN);
+  return (
+    RANGE_NAME_PATTERN.test(name) &&
+    !(reference && reference[0].length === name.length)
+  );
+}
+
+// Define (or redefine) a name for an address, or for the selection when no
+// address is given; returns false when the name or address isn't valid
+function defineName(name, address = null) {
+  const trimmed = name.trim();
+  if (!isValidRangeName(trimmed)) {
+    alert(
+      `"${trimmed}" can't be used as a name. Names start with a letter or underscore, use letters, digits, "_" and ".", and can't look like a cell address.`
+    );
+    return false;
+  }
+  let box = null;
+  if (address) {
+    box = parseAddress(address);
+  } else if (selectionStart && selectionEnd) {
+    box = getSelectionBox();
+  }
+  if (!box) {
+    alert(
+      address ? `"${address}" isn't a valid address.` : "Select a range first."
+    );
+    return false;
+  }
+
+  beginHistoryTransaction("Define name");
+  const existing = findRangeName(trimmed);
+  if (existing) delete namedRanges[existing];
+  namedRanges[trimmed] = box;
+  commitHistoryTransaction();
+  updateNameBox();
+  return true;
+}
+
+function removeName(name) {
+  const key = findRangeName(name);
+  if (!key) return false;
+  beginHistoryTransaction("Delete name");
+  delete namedRanges[key];
+  commitHistoryTransaction();
+  updateNameBox();
+  return true;
+}
+
+// Names for the names dialog, alphabetically
+function getNamedRanges() {
+  return Object.entries(namedRanges)
+    .map(([name, box]) => ({
+      name,
+      address: formatAddress(box),
+      label: formatBoxLabel(box),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Address of the selection for the names dialog, or ""
+function getSelectionAddress() {
+  if (!selectionStart || !selectionEnd) return "";
+  return formatAddress(getSelectionBox());
+}
+
+// Select the range of a name or address and bring it into view; returns
+// false when the text is neither
+function goToReference(text) {
+  const name = findRangeName(text);
+  const box = name ? namedRanges[name] : parseAddress(text);
+  if (!box) return false;
+  if (isEditingCell && !finishEditing(true)) return true; // Still editing
+
+  // Only adds layers the range reaches; its cells are drawn once in view
+  ensureGridExtent(box.maxX, box.maxY, box.maxZ);
+  selectionStart = getCell(box.minX, box.minY, box.minZ);
+  selectionEnd = getCell(box.maxX, box.maxY, box.maxZ);
+  selectCubicRegion(selectionStart, selectionEnd);
+  scrollCellIntoView(box.minX, box.minY, box.minZ, true);
+  return true;
+}
+
+// Show the selection in the name box (unless it's being typed in) and offer
+// the defined names in its dropdown
+function updateNameBox() {
+  const nameBox = document.getElementById("name-box");
+  if (!nameBox) return;
+
+  const names = document.getElementById("name-box-names");
+  names.innerHTML = "";
+  Object.keys(namedRanges)
+    .sort((a, b) => a.localeCompare(b))
+    .forEach((name) => {
+      const option = document.createElement("option");
+      option.value = name;
+      names.appendChild(option);
+    });
+
+  if (document.activeElement === nameBox) return;
+  if (!selectionStart || !selectionEnd) {
+    nameBox.value = "";
+    return;
+  }
+  const address = formatAddress(getSelectionBox());
+  const name = Object.keys(namedRanges).find(
+    (key) => formatAddress(namedRanges[key]) === address
+  );
+  nameBox.value = name || address;
+}
+
+function onNameBoxKeydown(event) {
+  if (event.key === "Enter") {
+    const text = event.target.value.trim();
+    event.target.blur();
+    if (text && !goToReference(text)) {
+      if (isValidRangeName(text) && selectionStart) {
+        defineName(text);
+      } else {
+        alert(
+          `"${text}" isn't a defined name or a cell address on the sheet (up to XFD${MAX_GRID_ROWS}).`
+        );
+      }
+    }
+    event.preventDefault();
+  } else if (event.key === "Escape") {
+    event.target.blur();
+    event.preventDefault();
+  }
+}
+
+// Move or resize named ranges with inserted and deleted rows/columns/layers;
+// names whose whole range is deleted go away
+function shiftNamedRanges(axis, at, count) {
+  const name = ["X", "Y", "Z"][STRUCTURE_AXES[axis].index];
+  Object.entries(namedRanges).forEach(([key, box]) => {
+    const span = shiftAxisSpan(box[`min${name}`], box[`max${name}`], at, count);
+    if (!span) {
+      delete namedRanges[key];
+      return;
+    }
+    namedRanges[key] = {
+      ...box,
+      [`min${name}`]: span[0],
+      [`max${name}`]: span[1],
+    };
+  });
+  updateNameBox();
+}
+
+// Charts
+// A chart turns a block of numbers into 3D bars placed to the right of it:
+// columns of the block are the categories, rows the series and layers stay
+// at their own depth, so a multi-layer block charts in 3D. A first row or
+// column of text names the categories or series. Charts are rebuilt whenever
+// a cell inside their block changes.
+const CHART_TYPES = ["column", "bar"];
+const CHART_COLORS = [
+  "#4472c4",
+  "#ed7d31",
+  "#a5a5a5",
+  "#ffc000",
+  "#5b9bd5",
+  "#70ad47",
+  "#264478",
+  "#9e480e",
+];
+const CHART_VALUE_LENGTH = 300; // px from the lowest to the highest value
+const CHART_SLOT_SIZE = 80; // px per category
+const CHART_MARGIN = 120; // px between the block and its chart's axis
+const MAX_CHART_BARS = 2000;
+const MAX_CHART_CELLS = 10000; // Cells a chart's block can span
+const chartGroups = new Map(); // id -> THREE.Group in the pivot
+let chartsDirty = false; // Charts or their cells changed since the last build
+
+function getBoxCellCount({ minX, maxX, minY, maxY, minZ, maxZ }) {
+  return (maxX - minX + 1) * (maxY - minY + 1) * (maxZ - minZ + 1);
+}
+
+// Categories, series, layers and values of a block. Blank and text cells get
+// no bar; blocks over MAX_CHART_CELLS get nothing.
+function getChartData(range) {
+  const { minX, maxX, minY, maxY, minZ, maxZ } = range;
+  if (getBoxCellCount(range) > MAX_CHART_CELLS) {
+    return { categories: [], series: [], layers: [], values: [] };
+  }
+  const isText = (x, y) => {
+    const value = getCellValue(x, y, minZ);
+    return value !== null && typeof value !== "number";
+  };
+  const isBlankOrText = (x, y) => typeof getCellValue(x, y, minZ) !== "number";
+
+  // Header candidates skip the corner cell unless the block is one wide
+  const columns = [];
+  const rows = [];
+  for (let x = maxX > minX ? minX + 1 : minX; x <= maxX; x++) columns.push(x);
+  for (let y = maxY > minY ? minY + 1 : minY; y <= maxY; y++) rows.push(y);
+  const hasHeaderRow =
+    maxY > minY &&
+    columns.every((x) => isBlankOrText(x, minY)) &&
+    columns.some((x) => isText(x, minY));
+  const hasHeaderColumn =
+    maxX > minX &&
+    rows.every((y) => isBlankOrText(minX, y)) &&
+    rows.some((y) => isText(minX, y));
+
+  const labelOf = (x, y, fallback) => {
+    const text = formatCellValue(getCellValue(x, y, minZ)).trim();
+    return text || fallback;
+  };
+  const categories = [];
+  for (let x = minX + (hasHeaderColumn ? 1 : 0); x <= maxX; x++) {
+    categories.push({
+      x,
+      label: hasHeaderRow
+        ? labelOf(x, minY, columnToLetter(x))
+        : columnToLetter(x),
+    });
+  }
+  const series = [];
+  for (let y = minY + (hasHeaderRow ? 1 : 0); y <= maxY; y++) {
+    series.push({
+      y,
+      label: hasHeaderColumn
+        ? labelOf(minX, y, `Row ${y + 1}`)
+        : `Row ${y + 1}`,
+    });
+  }
+  const layers = [];
+  for (let z = minZ; z <= maxZ; z++) {
+    layers.push({ z, label: getLayerLabel(z) });
+  }
+
+  const values = [];
+  layers.forEach(({ z }) => {
+    series.forEach(({ y }, seriesIndex) => {
+      categories.forEach(({ x }, category) => {
+        const value = getCellValue(x, y, z);
+        if (typeof value === "number" && isFinite(value)) {
+          values.push({ category, series: seriesIndex, z, value });
+        }
+      });
+    });
+  });
+  return { categories, series, layers, values };
+}
+
+// Chart a block of numbers: the selection unless a range is given. Returns
+// the chart's id, or null when the block has nothing to chart.
+function addChart(type = "column", range = null) {
+  if (!CHART_TYPES.includes(type)) return null;
+  if (!range) {
+    if (!selectionStart || !selectionEnd) return null;
+    range = getSelectionBox();
+  }
+  if (getBoxCellCount(range) > MAX_CHART_CELLS) {
+    alert(`Charts can span up to ${MAX_CHART_CELLS} cells.`);
+    return null;
+  }
+  const { values } = getChartData(range);
+  if (values.length === 0) {
+    alert("Select a block with numbers to chart.");
+    return null;
+  }
+  if (values.length > MAX_CHART_BARS) {
+    alert(`Charts can show up to ${MAX_CHART_BARS} values.`);
+    return null;
+  }
+
+  const ids = Object.keys(charts).map(Number);
+  const id = String(ids.length ? Math.max(...ids) + 1 : 1);
+  beginHistoryTransaction("Insert chart");
+  charts[id] = { type, range };
+  chartsDirty = true;
+  commitHistoryTransaction();
+  return id;
+}
+
+function removeChart(id) {
+  if (!charts[id]) return false;
+  beginHistoryTransaction("Delete chart");
+  delete charts[id];
+  chartsDirty = true;
+  commitHistoryTransaction();
+  return true;
+}
+
+// Charts for the chart dialog
+function getCharts() {
+  return Object.entries(charts).map(([id, chart]) => ({
+    id,
+    type: chart.type,
+    address: formatAddress(chart.range),
+    label: formatBoxLabel(chart.range),
+  }));
+}
+
+// Build the bars, axes, labels and legend of one chart. Column charts grow
+// up from a category axis along X; bar charts grow right from one running
+// down along Y. Within a category the series stand side by side, and every
+// layer's bars sit at that layer's depth.
+function buildChart(chart) {
+  const { categories, series, layers, values } = getChartData(chart.range);
+  const group = new THREE.Group();
+  if (values.length === 0 || values.length > MAX_CHART_BARS) return group;
+
+  // Chart space: "along" runs over the categories, "value" up the value axis
+  const isColumn = chart.type === "column";
+  const toPoint = (along, value, z) =>
+    isColumn
+      ? new THREE.Vector3(along, value - CHART_VALUE_LENGTH, z)
+      : new THREE.Vector3(value, -along, z);
+  const toSize = (along, value, depth) =>
+    isColumn ? [along, value, depth] : [value, along, depth];
+
+  const numbers = values.map(({ value }) => value);
+  const low = Math.min(0, ...numbers);
+  const high = Math.max(0, ...numbers);
+  const span = high - low || 1;
+  const toValue = (value) => ((value - low) / span) * CHART_VALUE_LENGTH;
+  const base = toValue(0);
+  const length = categories.length * CHART_SLOT_SIZE;
+  const barWidth = (CHART_SLOT_SIZE * 0.8) / series.length;
+  const front = getLayerFront(chart.range.minZ);
+  const back = getLayerFront(chart.range.maxZ + 1);
+
+  // Bars and legend swatches, lit like colored cells, in one instanced mesh
+  const bars = new THREE.InstancedMesh(
+    new THREE.BoxGeometry(1, 1, 1),
+    new THREE.MeshStandardMaterial({ roughness: 0.5 }),
+    values.length + series.length
+  );
+  const barMatrix = new THREE.Matrix4();
+  const barColor = new THREE.Color();
+  const setBar = (instance, position, size, seriesIndex) => {
+    barMatrix.makeScale(...size).setPosition(position);
+    bars.setMatrixAt(instance, barMatrix);
+    bars.setColorAt(
+      instance,
+      barColor.set(CHART_COLORS[seriesIndex % CHART_COLORS.length])
+    );
+  };
+  values.forEach(({ category, series: index, z, value }, instance) => {
+    const along =
+      category * CHART_SLOT_SIZE +
+      CHART_SLOT_SIZE * 0.1 +
+      (index + 0.5) * barWidth;
+    const top = toValue(value);
+    setBar(
+      instance,
+      toPoint(along, (base + top) / 2, getLayerFront(z) + getLayerDepth(z) / 2),
+      toSize(
+        barWidth * 0.9,
+        Math.max(Math.abs(top - base), 1),
+        getLayerDepth(z) * 0.5
+      ),
+      index
+    );
+  });
+  group.add(bars);
+
+  // Value axis, category axis along the zero line and depth axis
+  const axisPoints = [
+    toPoint(0, 0, front),
+    toPoint(0, CHART_VALUE_LENGTH, front),
+    toPoint(0, base, front),
+    toPoint(length, base, front),
+    toPoint(length, base, front),
+    toPoint(length, base, back),
+  ];
+  group.add(
+    new THREE.LineSegments(
+      new THREE.BufferGeometry().setFromPoints(axisPoints),
+      new THREE.LineBasicMaterial({ color: 0x666666 })
+    )
+  );
+
+  const addLabel = (text, position, color = "#333333") => {
+    const sprite = createLabelSprite(text, 48, color);
+    sprite.position.copy(position);
+    group.add(sprite);
+  };
+  addLabel(
+    formatAddress(chart.range),
+    isColumn
+      ? new THREE.Vector3(length / 2, 40, front)
+      : new THREE.Vector3(CHART_VALUE_LENGTH / 2, 90, front),
+    "#111111"
+  );
+  [...new Set([low, 0, high])].forEach((value) => {
+    addLabel(formatNumber(value), toPoint(-45, toValue(value), front));
+  });
+  categories.forEach(({ label }, category) => {
+    addLabel(label, toPoint((category + 0.5) * CHART_SLOT_SIZE, -30, front));
+  });
+  if (layers.length > 1) {
+    layers.forEach(({ z, label }) => {
+      addLabel(
+        label,
+        toPoint(length + 45, base, getLayerFront(z) + getLayerDepth(z) / 2)
+      );
+    });
+  }
+
+  // Legend: a swatch and the name of every series, right of the chart
+  const legendX = (isColumn ? length : CHART_VALUE_LENGTH) + 110;
+  series.forEach(({ label }, index) => {
+    const y = -index * 36;
+    setBar(
+      values.length + index,
+      new THREE.Vector3(legendX, y, front),
+      [16, 16, 16],
+      index
+    );
+    addLabel(label, new THREE.Vector3(legendX + 55, y, front));
+  });
+
+  group.position.set(
+    LABEL_OFFSET_X + getColumnLeft(chart.range.maxX + 1) + CHART_MARGIN,
+    -LABEL_OFFSET_Y - getRowTop(chart.range.minY),
+    0
+  );
+  return group;
+}
+
+function disposeChartGroup(group) {
+  pivot.remove(group);
+  group.traverse((object) => {
+    if (object.isInstancedMesh) object.dispose();
+    if (object.geometry) object.geometry.dispose();
+    if (object.material) {
+      if (object.material.map) object.material.map.dispose();
+      object.material.dispose();
+    }
+  });
+}
+
+// Rebuild every chart from its cells
+function rebuildCharts() {
+  chartsDirty = false;
+  chartGroups.forEach(disposeChartGroup);
+  chartGroups.clear();
+  Object.entries(charts).forEach(([id, chart]) => {
+    const group = buildChart(chart);
+    pivot.add(group);
+    chartGroups.set(id, group);
+  });
+}
+
+// Move or resize chart blocks with inserted and deleted rows/columns/layers;
+// charts whose whole block is deleted go away
+function shiftCharts(axis, at, count) {
+  const name = ["X", "Y", "Z"][STRUCTURE_AXES[axis].index];
+  Object.entries(charts).forEach(([id, chart]) => {
+    const span = shiftAxisSpan(
+      chart.range[`min${name}`],
+      chart.range[`max${name}`],
+      at,
+      count
+    );
+    if (!span) {
+      delete charts[id];
+      return;
+    }
+    charts[id] = {
+      ...chart,
+      range: {
+        ...chart.range,
+        [`min${name}`]: span[0],
+        [`max${name}`]: span[1],
+      },
+    };
+  });
+  chartsDirty = true;
+}
+
+// Sort
+// Reorders the rows of the cubic selection by one or more key columns. Whole
+// rows of the block move together with their formatting, and relative formula
+// references shift with their row like a copy would. Each layer is sorted on
+// its own unless `sameOrderOnAllLayers` is set, in which case the front
+// layer's order is applied to every layer so rows stay aligned across depth.
+
+// Columns of the selection, for the sort dialog's key pickers
+function getSortColumns() {
+  if (!selectionStart || !selectionEnd) return [];
+  const { minX, maxX } = getSelectionBox();
+  const columns = [];
+  for (let x = minX; x <= maxX; x++) {
+    columns.push({ index: x, label: columnToLetter(x) });
+  }
+  return columns;
+}
+
+// Describe a block of cells, e.g. "A1:C10 on layers I–III"
+function formatBoxLabel({ minX, maxX, minY, maxY, minZ, maxZ }) {
+  const start = `${columnToLetter(minX)}${minY + 1}`;
+  const end = `${columnToLetter(maxX)}${maxY + 1}`;
+  if (minZ === maxZ) return `${start}:${end} on layer ${getLayerLabel(minZ)}`;
+  return `${start}:${end} on layers ${getLayerLabel(minZ)}–${getLayerLabel(maxZ)}`;
+}
+
+// Describe the block being sorted, e.g. "A1:C10 on layers I–III"
+function getSortRangeLabel() {
+  if (!selectionStart || !selectionEnd) return "";
+  return formatBoxLabel(getSelectionBox());
+}
+
+// Compare two cell values for one sort key. Blanks always sort last and
+// errors just before them, whichever the direction.
+function compareSortValues(a, b, key) {
+  const rank = (value) =>
+    value === null ? 2 : value instanceof FormulaError ? 1 : 0;
+  if (rank(a) !== rank(b) || rank(a) !== 0) return rank(a) - rank(b);
+
+  let result;
+  if (key.type === "number") {
+    // Numbers before text; text among itself alphabetically
+    const aNumber = typeof a === "number";
+    const bNumber = typeof b === "number";
+    if (aNumber && bNumber) {
+      result = a - b;
+    } else if (aNumber !== bNumber) {
+      return aNumber ? -1 : 1;
+    } else {
+      result = formatCellValue(a).localeCompare(formatCellValue(b));
+    }
+  } else {
+    result = formatCellValue(a).localeCompare(formatCellValue(b), undefined, {
+      sensitivity: "base",
+    });
+  }
+  return key.descending ? -result : result;
+}
+
+// Row order (list of source rows) for one layer of the block
+function getSortedRows(rowIndices, z, keys) {
+  const rows = rowIndices.map((y) => ({
+    y,
+    values: keys.map((key) => getCellValue(key.column, y, z)),
+  }));
+  rows.sort((a, b) => {
+    for (let i = 0; i < keys.length; i++) {
+      const result = compareSortValues(a.values[i], b.values[i], keys[i]);
+      if (result !== 0) return result;
+    }
+    return 0; // Stable: ties keep their order
+  });
+  return rows.map((row) => row.y);
+}
+
+// keys: [{ column, descending, type: "number" | "text" }], most significant first.
+// Like Excel, only the rows the filter shows are sorted; hidden rows stay put.
+function sortSelection(keys, options = {}) {
+  if (!selectionStart || !selectionEnd || !keys.length) return false;
+  if (isEditingCell && !finishEditing(true)) return false;
+
+  const box = getSelectionBox();
+  if (keys.some((key) => key.column < box.minX || key.column > box.maxX)) {
+    alert("Sort by columns inside the selection.");
+    return false;
+  }
+  // Rows can't be reordered through merged blocks that span several of them
+  if (
+    getMergedBlocks().some(
+      (block) => boxesOverlap(box, block) && block.maxY > block.minY
+    )
+  ) {
+    alert(
+      "The selection can't be sorted while it has merged cells spanning several rows."
+    );
+    return false;
+  }
+
+  const rows = [];
+  for (let y = box.minY; y <= box.maxY; y++) {
+    if (!hiddenRows.has(y)) rows.push(y);
+  }
+
+  beginHistoryTransaction("Sort");
+
+  const sharedOrder = options.sameOrderOnAllLayers
+    ? getSortedRows(rows, box.minZ, keys)
+    : null;
+
+  // Capture every layer's new rows before writing any of them
+  const updates = new Map();
+  for (let z = box.minZ; z <= box.maxZ; z++) {
+    const order = sharedOrder || getSortedRows(rows, z, keys);
+    order.forEach((sourceY, index) => {
+      const y = rows[index];
+      if (sourceY === y) return;
+      for (let x = box.minX; x <= box.maxX; x++) {
+        const snapshot = captureCellState(`${x},${sourceY},${z}`);
+        if (isFormula(snapshot.cellData)) {
+          snapshot.cellData = shiftFormulaReferences(
+            snapshot.cellData,
+            0,
+            y - sourceY
+          );
+        }
+        updates.set(`${x},${y},${z}`, snapshot);
+      }
+    });
+  }
+
+  // Write the rows without recalculating halfway, then recalculate once
+  isRecalculating = true;
+  try {
+    updates.forEach((snapshot, key) => {
+      recordUndoState(key);
+      restoreCellState(key, snapshot);
+    });
+  } finally {
+    isRecalculating = false;
+  }
+  recalculateFormulas();
+
+  // Rows moved, so hide the ones that no longer match
+  if (rowFilter) {
+    applyRowFilter();
+  }
+
+  commitHistoryTransaction();
+  return true;
+}
+
+// Row filter
+// AutoFilter-style filtering on a header row: each column of the block can
+// have one criterion, and data rows that don't match all of them on any layer
+// of the block are hidden on every layer, row labels included. Criteria:
+//   { type: "values", values: ["North", ""] }  displayed text ("" is blank)
+//   { type: "range", min: 10, max: null }      numbers only; null is open
+//   { type: "contains", text: "smith" }        case-insensitive
+const MAX_FILTER_VALUES = 500;
+let rowFilter = null; // { headerRow, lastRow, minX, maxX, minZ, maxZ, criteria }
+
+// Turn on filtering with the selection's top row as the header row. A single
+// selected header cell takes in its neighbouring header cells.
+function createRowFilter() {
+  if (!selectionStart || !selectionEnd) return false;
+  const box = getSelectionBox();
+  let { minX, maxX } = box;
+  if (minX === maxX) {
+    const hasHeader = (x) => Boolean(cellData[`${x},${box.minY},${box.minZ}`]);
+    while (minX > 0 && hasHeader(minX - 1)) minX--;
+    while (hasHeader(maxX + 1)) maxX++;
   }
 
-  // Find the cell mesh
-  const cellMesh = cellMeshes.find(
-    (mesh) =>
-      mesh.userData.x === x && mesh.userData.y === y && mesh.userData.z === z
-  );
+  beginHistoryTransaction("Filter");
+  rowFilter = {
+    headerRow: box.minY,
+    lastRow: box.maxY,
+    minX,
+    maxX,
+    minZ: box.minZ,
+    maxZ: box.maxZ,
+    criteria: {},
+  };
+  applyRowFilter();
+  commitHistoryTransaction();
+  return true;
+}
 
-  if (text && text.trim() !== "") {
-    // Store data
-    cellData[key] = text;
+function removeRowFilter() {
+  if (!rowFilter) return;
+  beginHistoryTransaction("Remove filter");
+  rowFilter = null;
+  setHiddenRows([]);
+  recalculateFormulas(); // Subtotals count every row again
+  updateFilterButton();
+  commitHistoryTransaction();
+}
 
-    // Get text color (default to black if not set)
-    const textColor = cellTextColors[key] || "#000000";
-
-    // Get text formatting states
-    const isBold = cellTextBold[key] || false;
-    const isItalic = cellTextItalic[key] || false;
-    const isStrikethrough = cellTextStrikethrough[key] || false;
-    const fontFamily = cellFontFamily[key] || "arial";
-    const fontSize = cellFontSize[key] || 100;
-
-    // Create new sprite from top-left with offset for labels
-    const sprite = createTextSprite(
-      text,
-      fontSize,
-      textColor,
-      isBold,
-      isItalic,
-      isStrikethrough,
-      fontFamily
-    );
-    const posX = LABEL_OFFSET_X + x * CELL_WIDTH + CELL_WIDTH / 2;
-    const posY = -LABEL_OFFSET_Y - y * CELL_HEIGHT - CELL_HEIGHT / 2;
-    const posZ = z * CELL_DEPTH + CELL_DEPTH / 2;
+// Set (or clear, with null) the criterion of one column and refilter
+function setFilterCriterion(x, criterion) {
+  if (!rowFilter) return;
+  beginHistoryTransaction("Filter");
+  if (criterion) {
+    rowFilter.criteria[x] = criterion;
+  } else {
+    delete rowFilter.criteria[x];
+  }
+  applyRowFilter();
+  commitHistoryTransaction();
+}
 
-    sprite.position.set(posX, posY, posZ);
-    sprite.userData = { x, y, z, type: "text" };
+// The filter reaches down to the last row with data in its columns
+function getFilterLastRow() {
+  const { headerRow, minX, maxX, minZ, maxZ } = rowFilter;
+  let lastRow = Math.max(rowFilter.lastRow, headerRow);
+  Object.keys(cellData).forEach((key) => {
+    const [x, y, z] = key.split(",").map(Number);
+    if (x >= minX && x <= maxX && z >= minZ && z <= maxZ && y > lastRow) {
+      lastRow = y;
+    }
+  });
+  return lastRow;
+}
 
-    pivot.add(sprite);
-    textSprites.push(sprite);
-
-    // Update cell visual: white background + thicker border
-    if (cellMesh) {
-      // Check if cell has custom background color
-      const customColor = cellBackgroundColors[key];
-      if (customColor) {
-        // Use lighting material for colored cells
-        cellMesh.material.dispose();
-        cellMesh.material = new THREE.MeshStandardMaterial({
-          color: new THREE.Color(customColor),
-          transparent: true,
-          opacity: 1.0,
-          depthWrite: false,
-          side: THREE.DoubleSide,
-          metalness: 0.0,
-          roughness: 0.5,
-          emissive: new THREE.Color(customColor),
-          emissiveIntensity: 0.15,
-        });
-        cellMesh.renderOrder = 5; // Colored cells render on top
-      } else {
-        // Use basic material for non-colored cells
-        cellMesh.material.dispose();
-        cellMesh.material = new THREE.MeshBasicMaterial({
-          color: 0xffffff,
-          transparent: true,
-          opacity: 0.2,
-          depthWrite: false,
-          side: THREE.DoubleSide,
-        });
-        cellMesh.renderOrder = 3; // Cells with text render above empty cells
-      }
+function matchesFilterCriterion(value, criterion) {
+  const text = formatCellValue(value);
+  switch (criterion.type) {
+    case "values":
+      return criterion.values.includes(text);
+    case "range":
+      return (
+        typeof value === "number" &&
+        (criterion.min === null || value >= criterion.min) &&
+        (criterion.max === null || value <= criterion.max)
+      );
+    case "contains":
+      return text.toLowerCase().includes(criterion.text.toLowerCase());
+  }
+  return true;
+}
 
-      // Update the edge color to be darker
-      /*
-      const edges = cellMesh.children.find(
-        (child) => child.type === "LineSegments"
+// Hide the data rows that match on none of the filter's layers
+function applyRowFilter() {
+  rowFilter.lastRow = getFilterLastRow();
+  const { headerRow, lastRow, minZ, maxZ } = rowFilter;
+  const criteria = Object.entries(rowFilter.criteria);
+
+  const hidden = [];
+  for (let y = headerRow + 1; y <= lastRow; y++) {
+    let visible = false;
+    for (let z = minZ; z <= maxZ && !visible; z++) {
+      visible = criteria.every(([x, criterion]) =>
+        matchesFilterCriterion(getCellValue(Number(x), y, z), criterion)
       );
-      if (edges) {
-        edges.material.color.setHex(0x333333);
-      }
+    }
+    if (!visible) hidden.push(y);
+  }
 
-      // Add thick border if not already present
-      if (!cellMesh.userData.thickBorder) {
-        const cellGeometry = new THREE.BoxGeometry(
-          CELL_WIDTH,
-          CELL_HEIGHT,
-          CELL_DEPTH
-        );
-        const edgesGeometry = new THREE.EdgesGeometry(cellGeometry);
-
-        // Create a simpler thick border with just 3 overlapping lines
-        const thickBorderGroup = new THREE.Group();
-        const offsets = [0, 0.3, -0.3];
-        offsets.forEach((offset) => {
-          const borderMaterial = new THREE.LineBasicMaterial({
-            color: 0x333333,
-            transparent: false, // Disable transparency to avoid z-fighting
-            depthWrite: true,
-          });
-          const borderEdges = new THREE.LineSegments(
-            edgesGeometry,
-            borderMaterial
-          );
-          borderEdges.position.set(offset, offset, offset);
-          thickBorderGroup.add(borderEdges);
-        });
+  setHiddenRows(hidden);
+  recalculateFormulas(); // Subtotals only count the visible rows
+  updateFilterButton();
+}
 
-        thickBorderGroup.userData = { type: "thickBorder" };
-        thickBorderGroup.visible = !bordersHidden; // Respect current border visibility state
-        cellMesh.add(thickBorderGroup);
-        cellMesh.userData.thickBorder = thickBorderGroup;
-      }
-      */
+// Columns of the filter for the filter dialog, labelled by their header text
+function getFilterColumns() {
+  if (!rowFilter) return [];
+  const columns = [];
+  for (let x = rowFilter.minX; x <= rowFilter.maxX; x++) {
+    const header = formatCellValue(
+      getCellValue(x, rowFilter.headerRow, rowFilter.minZ)
+    );
+    columns.push({
+      index: x,
+      label: header
+        ? `${columnToLetter(x)}: ${header}`
+        : `Column ${columnToLetter(x)}`,
+      criterion: rowFilter.criteria[x] || null,
+    });
+  }
+  return columns;
+}
+
+// Distinct displayed values of a filter column across its rows and layers
+function getFilterValues(x) {
+  if (!rowFilter) return [];
+  const values = new Set();
+  for (let z = rowFilter.minZ; z <= rowFilter.maxZ; z++) {
+    for (let y = rowFilter.headerRow + 1; y <= rowFilter.lastRow; y++) {
+      values.add(formatCellValue(getCellValue(x, y, z)));
     }
-  } else {
-    // Remove data
-    delete cellData[key];
+  }
+  return Array.from(values)
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .slice(0, MAX_FILTER_VALUES);
+}
 
-    // Restore cell visual: subtle transparent + lighter border
-    if (cellMesh) {
-      // Check if cell has custom background color
-      const customColor = cellBackgroundColors[key];
-      if (customColor) {
-        // Use lighting material for colored cells
-        cellMesh.material.dispose();
-        cellMesh.material = new THREE.MeshStandardMaterial({
-          color: new THREE.Color(customColor),
-          transparent: true,
-          opacity: 1.0,
-          depthWrite: false,
-          side: THREE.DoubleSide,
-          metalness: 0.0,
-          roughness: 0.5,
-          emissive: new THREE.Color(customColor),
-          emissiveIntensity: 0.15,
-        });
-        cellMesh.renderOrder = 5; // Keep colored cells on top
-      } else {
-        // Use basic material for non-colored cells
-        cellMesh.material.dispose();
-        cellMesh.material = new THREE.MeshBasicMaterial({
-          color: 0xffffff,
-          transparent: true,
-          opacity: 0.1,
-          depthWrite: false,
-          side: THREE.DoubleSide,
-        });
-        cellMesh.renderOrder = 1; // Back to default render order
-      }
+// Summary for the filter dialog, e.g. "A1:D200 on layer I, showing 12 of 199 rows"
+function getFilterStatus() {
+  if (!rowFilter) return "";
+  const { headerRow, lastRow, minX, maxX, minZ, maxZ } = rowFilter;
+  const total = lastRow - headerRow;
+  const label = formatBoxLabel({
+    minX,
+    maxX,
+    minY: headerRow,
+    maxY: lastRow,
+    minZ,
+    maxZ,
+  });
+  return `${label}, showing ${total - hiddenRows.size} of ${total} rows`;
+}
 
-      // Restore the edge color to default
-      const edges = cellMesh.children.find(
-        (child) => child.type === "LineSegments"
-      );
-      if (edges) {
-        edges.material.color.setHex(0xd0d0d0);
-      }
+// Keep the filter on its header row and columns through structural edits
+function shiftRowFilter(axis, at, count) {
+  if (!rowFilter) return;
 
-      // Remove thick border if present
-      if (cellMesh.userData.thickBorder) {
-        cellMesh.remove(cellMesh.userData.thickBorder);
-        cellMesh.userData.thickBorder = null;
-      }
+  if (axis === "row") {
+    const headerRow = shiftAxisIndex(rowFilter.headerRow, at, count);
+    if (headerRow === null) {
+      removeRowFilter();
+      return;
+    }
+    rowFilter.headerRow = headerRow;
+    rowFilter.lastRow = Math.max(
+      headerRow,
+      shiftAxisIndex(rowFilter.lastRow, at, count, "end")
+    );
+  } else {
+    const [min, max] = axis === "column" ? ["minX", "maxX"] : ["minZ", "maxZ"];
+    const span = shiftAxisSpan(rowFilter[min], rowFilter[max], at, count);
+    if (!span) {
+      removeRowFilter();
+      return;
+    }
+    [rowFilter[min], rowFilter[max]] = span;
+
+    if (axis === "column") {
+      const criteria = {};
+      Object.entries(rowFilter.criteria).forEach(([x, criterion]) => {
+        const newX = shiftAxisIndex(Number(x), at, count);
+        if (newX !== null) criteria[newX] = criterion;
+      });
+      rowFilter.criteria = criteria;
     }
   }
+  applyRowFilter();
+}
+
+// Highlight the filter button while a filter is on
+function updateFilterButton() {
+  if (window.updateModeButtons) {
+    window.updateModeButtons({ "filter-button": Boolean(rowFilter) });
+  }
+}
+
+// Find and replace
+// Searches the raw text of every cell (formulas as typed). Options:
+// matchCase, wholeCell (the whole text must match), regex (query is a regular
+// expression; replacements can use $1) and currentLayer (only the selected
+// cell's layer).
+const MAX_FIND_RESULTS = 1000;
+
+// e.g. "B3 on layer II"
+function getCellLabel(x, y, z) {
+  return `${columnToLetter(x)}${y + 1} on layer ${getLayerLabel(z)}`;
+}
+
+// Throws a SyntaxError for an invalid regular expression
+function buildFindPattern(query, options) {
+  let source = options.regex
+    ? query
+    : query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  if (options.wholeCell) {
+    source = `^(?:${source})$`;
+  }
+  return new RegExp(source, options.matchCase ? "g" : "gi");
+}
+
+// Keys of the cells whose text matches, front layer first, then row by row.
+// Rows hidden by the filter are skipped, so results can always be selected.
+function findMatchingKeys(query, options) {
+  if (!query) return [];
+  const pattern = buildFindPattern(query, options);
+  const layer = selectionStart ? selectionStart.z : 0;
+
+  return Object.keys(cellData)
+    .filter((key) => cellData[key].search(pattern) !== -1)
+    .map((key) => key.split(",").map(Number))
+    .filter(([, y]) => !hiddenRows.has(y))
+    .filter(([, , z]) => !options.currentLayer || z === layer)
+    .sort((a, b) => a[2] - b[2] || a[1] - b[1] || a[0] - b[0])
+    .map((coords) => coords.join(","));
+}
+
+// Matches for the find dialog: { matches: [{ x, y, z, label, text }], total }
+function findCells(query, options) {
+  const keys = findMatchingKeys(query, options);
+  const matches = keys.slice(0, MAX_FIND_RESULTS).map((key) => {
+    const [x, y, z] = key.split(",").map(Number);
+    return { x, y, z, label: getCellLabel(x, y, z), text: cellData[key] };
+  });
+  return { matches, total: keys.length };
+}
+
+// Select a cell and bring it to the middle of the view; a cell in a row hidden
+// by the filter (a comment's) is shown by removing the filter first
+function goToCell(x, y, z) {
+  if (isEditingCell && !finishEditing(true)) return;
+  if (hiddenRows.has(y)) {
+    removeRowFilter();
+  }
+  ensureGridExtent(x, y, z);
+  selectionStart = getCell(x, y, z);
+  selectionEnd = selectionStart;
+  selectCubicRegion(selectionStart, selectionEnd);
+  scrollCellIntoView(x, y, z, true);
+}
+
+// Replace the matches inside the given cells; returns how many cells changed
+function replaceInCells(keys, query, replacement, options, label) {
+  const pattern = buildFindPattern(query, options);
+  // Outside regex mode "$" in the replacement is literal
+  const replaceWith = options.regex ? replacement : () => replacement;
+
+  let changed = 0;
+  beginHistoryTransaction(label);
+  keys.forEach((key) => {
+    const text = cellData[key];
+    const newText = text.replace(pattern, replaceWith);
+    if (newText === text) return;
+    recordUndoState(key);
+    const [x, y, z] = key.split(",").map(Number);
+    updateCellText(x, y, z, newText);
+    changed++;
+  });
+  commitHistoryTransaction();
+  return changed;
+}
+
+// Replace in the selected cell if it matches, then move on to the next match.
+// Returns { matched, replaced, moved }: whether anything matched, how many
+// cells changed, and whether the first match was only selected (the selection
+// wasn't on a match yet). Returns null when the cell being edited kept its
+// rejected entry.
+function replaceNext(query, replacement, options) {
+  if (isEditingCell && !finishEditing(true)) return null;
+  const keys = findMatchingKeys(query, options);
+  if (!keys.length) return { matched: false, replaced: 0, moved: false };
+
+  const current = selectionStart
+    ? `${selectionStart.x},${selectionStart.y},${selectionStart.z}`
+    : null;
+  if (!keys.includes(current)) {
+    // Nothing to replace here yet: just go to the first match
+    const [x, y, z] = keys[0].split(",").map(Number);
+    goToCell(x, y, z);
+    return { matched: true, replaced: 0, moved: true };
+  }
+
+  const replaced = replaceInCells(
+    [current],
+    query,
+    replacement,
+    options,
+    "Replace"
+  );
+  const next = findMatchingKeys(query, options).find((key) => key !== current);
+  if (next) {
+    const [x, y, z] = next.split(",").map(Number);
+    goToCell(x, y, z);
+  }
+  return { matched: true, replaced, moved: false };
+}
+
+function replaceAll(query, replacement, options) {
+  if (isEditingCell && !finishEditing(true)) return 0;
+  const keys = findMatchingKeys(query, options);
+  return replaceInCells(keys, query, replacement, options, "Replace all");
 }
 
 function onKeyDown(event) {
+  // Undo/redo: Cmd/Ctrl+Z and Shift+Cmd/Ctrl+Z (leave text fields to the browser)
+  const isTextField =
+    event.target instanceof HTMLInputElement ||
+    event.target instanceof HTMLTextAreaElement;
+  if (
+    (event.metaKey || event.ctrlKey) &&
+    event.key.toLowerCase() === "z" &&
+    !isTextField
+  ) {
+    if (event.shiftKey) {
+      redo();
+    } else {
+      undo();
+    }
+    event.preventDefault();
+    return;
+  }
+
+  // Insert/delete rows, columns or layers: Shift+Cmd/Ctrl+= and Cmd/Ctrl+-
+  if ((event.metaKey || event.ctrlKey) && !isTextField && selectionStart) {
+    const isInsert = event.shiftKey && (event.key === "+" || event.key === "=");
+    const isDelete = !event.shiftKey && event.key === "-";
+    if ((isInsert || isDelete) && window.openStructureModal) {
+      if (isEditingCell && !finishEditing(true)) {
+        event.preventDefault();
+        return;
+      }
+      window.openStructureModal(isInsert ? "insert" : "delete");
+      event.preventDefault();
+      return;
+    }
+  }
+
+  // Find and replace: Cmd/Ctrl+F
+  if (
+    (event.metaKey || event.ctrlKey) &&
+    event.key.toLowerCase() === "f" &&
+    window.openFindModal
+  ) {
+    if (isEditingCell && !finishEditing(true)) {
+      event.preventDefault();
+      return;
+    }
+    window.openFindModal();
+    event.preventDefault();
+    return;
+  }
+
   // Ignore if meta/ctrl keys are pressed (for shortcuts like Cmd+R)
+  // Copy/cut/paste are handled by the clipboard events (onCopy, onCut, onPaste)
   if (event.metaKey || event.ctrlKey) {
     return;
   }
 
+  // Keys typed into dialog fields belong to those fields, not the grid
+  if (isTextField) {
+    return;
+  }
+
   // Handle arrow keys for navigation (works both in and out of edit mode)
   if (
     event.key === "ArrowLeft" ||
@@ -651,9 +6251,10 @@ function onKeyDown(event) {
     event.key === "ArrowUp" ||
     event.key === "ArrowDown"
   ) {
-    // If editing, finish first
-    if (isEditingCell) {
-      finishEditing(true);
+    // If editing, finish first (and stay put when the entry was rejected)
+    if (isEditingCell && !finishEditing(true)) {
+      event.preventDefault();
+      return;
     }
 
     if (selectionStart) {
@@ -720,38 +6321,43 @@ function onKeyDown(event) {
       }
 
       // Get the reference cell (use selectionEnd for extending, selectionStart for moving)
+      // The sheet only ends at the top-left-front; it grows in every other direction
       const referenceCell = event.shiftKey ? selectionEnd : selectionStart;
-      const newX = Math.max(
-        0,
-        Math.min(GRID_SIZE_X - 1, referenceCell.x + deltaX)
-      );
-      const newY = Math.max(
-        0,
-        Math.min(GRID_SIZE_Y - 1, referenceCell.y + deltaY)
-      );
-      const newZ = Math.max(
-        0,
-        Math.min(GRID_SIZE_Z - 1, referenceCell.z + deltaZ)
-      );
+
+      // A merged block is one cell: step off it from the side moved towards,
+      // and moving onto one lands on its anchor
+      const from = { ...referenceCell };
+      const block = getMergedBlock(from.x, from.y, from.z);
+      if (block) {
+        if (deltaX) from.x = deltaX > 0 ? block.maxX : block.minX;
+        if (deltaY) from.y = deltaY > 0 ? block.maxY : block.minY;
+        if (deltaZ) from.z = deltaZ > 0 ? block.maxZ : block.minZ;
+      }
+      let newX = Math.max(0, from.x + deltaX);
+      let newY = deltaY ? getNextVisibleRow(from.y, deltaY) : from.y;
+      let newZ = Math.max(0, from.z + deltaZ);
+      const targetBlock = getMergedBlock(newX, newY, newZ);
+      if (targetBlock && !event.shiftKey) {
+        newX = targetBlock.minX;
+        newY = targetBlock.minY;
+        newZ = targetBlock.minZ;
+      }
+      ensureGridExtent(newX, newY, newZ);
 
       // Find the target cell
-      const targetCell = cellMeshes.find(
-        (mesh) =>
-          mesh.userData.x === newX &&
-          mesh.userData.y === newY &&
-          mesh.userData.z === newZ
-      );
+      const targetCell = getCell(newX, newY, newZ);
 
       if (targetCell) {
         if (event.shiftKey) {
           // Extend selection
-          selectionEnd = targetCell.userData;
+          selectionEnd = targetCell;
         } else {
           // Move selection
-          selectionStart = targetCell.userData;
-          selectionEnd = targetCell.userData;
+          selectionStart = targetCell;
+          selectionEnd = targetCell;
         }
         selectCubicRegion(selectionStart, selectionEnd);
+        scrollCellIntoView(newX, newY, newZ);
       }
     }
 
@@ -767,49 +6373,35 @@ function onKeyDown(event) {
       const currentY = editingCellCoords.y;
       const currentZ = editingCellCoords.z;
 
-      console.log(
-        "Enter pressed, current cell:",
-        currentX,
-        currentY,
-        currentZ,
-        "GRID_SIZE_Y:",
-        GRID_SIZE_Y
-      );
+      console.log("Enter pressed, current cell:", currentX, currentY, currentZ);
 
-      // Save and exit edit mode
-      finishEditing(true);
+      // Save and exit edit mode; a rejected entry stays on its cell
+      if (!finishEditing(true)) {
+        event.preventDefault();
+        return;
+      }
 
-      // Check if there's a cell below
-      if (currentY + 1 < GRID_SIZE_Y) {
-        console.log(
-          "Looking for cell below at:",
-          currentX,
-          currentY + 1,
-          currentZ
-        );
+      // Move to the cell below, skipping hidden rows and the rest of a merged
+      // block (the grid grows if needed)
+      const block = getMergedBlock(currentX, currentY, currentZ);
+      const nextY = getNextVisibleRow(block ? block.maxY : currentY, 1);
+      ensureGridExtent(currentX, nextY, currentZ);
+      console.log("Looking for cell below at:", currentX, nextY, currentZ);
 
-        // Find the cell below in cellMeshes
-        const cellBelow = cellMeshes.find(
-          (mesh) =>
-            mesh.userData.x === currentX &&
-            mesh.userData.y === currentY + 1 &&
-            mesh.userData.z === currentZ
-        );
+      // Find the cell below
+      const cellBelow = getCell(currentX, nextY, currentZ);
 
-        console.log("Cell below found:", cellBelow ? "YES" : "NO");
+      console.log("Cell below found:", cellBelow ? "YES" : "NO");
 
-        if (cellBelow) {
-          // Select the cell below
-          selectionStart = cellBelow.userData;
-          selectionEnd = cellBelow.userData;
-          selectedCellMesh = cellBelow;
-          selectCubicRegion(selectionStart, selectionEnd);
+      if (cellBelow) {
+        // Select the cell below
+        selectionStart = cellBelow;
+        selectionEnd = cellBelow;
+        selectCubicRegion(selectionStart, selectionEnd);
 
-          // Start editing the cell below
-          startEditing(currentX, currentY + 1, currentZ);
-        }
-      } else {
-        console.log("Already at bottom row, currentY + 1:", currentY + 1);
+        // Start editing the cell below
+        startEditing(currentX, nextY, currentZ);
+        scrollCellIntoView(currentX, nextY, currentZ);
       }
 
       event.preventDefault();
@@ -822,24 +6414,7 @@ function onKeyDown(event) {
     } else if (event.key === "Backspace") {
       // Clear all selected cells and exit edit mode
       finishEditing(false); // Don't save current edits
-
-      if (selectionStart && selectionEnd) {
-        const minX = Math.min(selectionStart.x, selectionEnd.x);
-        const maxX = Math.max(selectionStart.x, selectionEnd.x);
-        const minY = Math.min(selectionStart.y, selectionEnd.y);
-        const maxY = Math.max(selectionStart.y, selectionEnd.y);
-        const minZ = Math.min(selectionStart.z, selectionEnd.z);
-        const maxZ = Math.max(selectionStart.z, selectionEnd.z);
-
-        // Clear all cells in the range
-        for (let x = minX; x <= maxX; x++) {
-          for (let y = minY; y <= maxY; y++) {
-            for (let z = minZ; z <= maxZ; z++) {
-              updateCellText(x, y, z, "");
-            }
-          }
-        }
-      }
+      clearSelectedCells();
       event.preventDefault();
       return;
     } else if (event.key.length === 1) {
@@ -861,23 +6436,7 @@ function onKeyDown(event) {
   if (selectionStart && !isEditingCell) {
     // Press Delete to clear selected cells
     if (event.key === "Delete" || event.key === "Backspace") {
-      if (selectionStart && selectionEnd) {
-        const minX = Math.min(selectionStart.x, selectionEnd.x);
-        const maxX = Math.max(selectionStart.x, selectionEnd.x);
-        const minY = Math.min(selectionStart.y, selectionEnd.y);
-        const maxY = Math.max(selectionStart.y, selectionEnd.y);
-        const minZ = Math.min(selectionStart.z, selectionEnd.z);
-        const maxZ = Math.max(selectionStart.z, selectionEnd.z);
-
-        // Clear all cells in the range
-        for (let x = minX; x <= maxX; x++) {
-          for (let y = minY; y <= maxY; y++) {
-            for (let z = minZ; z <= maxZ; z++) {
-              updateCellText(x, y, z, "");
-            }
-          }
-        }
-      }
+      clearSelectedCells();
       event.preventDefault();
       return;
     }
@@ -909,12 +6468,21 @@ function startEditing(x, y, z) {
   editingCellCoords = { x, y, z };
   const key = `${x},${y},${z}`;
   editingText = cellData[key] || "";
+  editingOriginalText = editingText;
+
+  // The whole edit session becomes one undo step, committed in finishEditing
+  beginHistoryTransaction("Edit cell");
+  recordUndoState(key);
   console.log("Edit mode started, editingText:", editingText);
 
+  // Cells with a list rule offer its values
+  showValidationList(x, y, z);
+
   // Show current text (or empty if no text)
   // Don't clear it - keep existing value visible
 }
 
+// Returns false when the entry was rejected by a validation rule
 function finishEditing(save) {
   console.log(
     "finishEditing called, save:",
@@ -926,7 +6494,7 @@ function finishEditing(save) {
   );
   if (!isEditingCell || !editingCellCoords) {
     console.log("finishEditing early return");
-    return;
+    return true;
   }
 
   if (save) {
@@ -941,16 +6509,31 @@ function finishEditing(save) {
     }
   } else {
     // Restore original value
-    const key = `${editingCellCoords.x},${editingCellCoords.y},${editingCellCoords.z}`;
-    const originalValue = cellData[key] || "";
     updateCellText(
       editingCellCoords.x,
       editingCellCoords.y,
       editingCellCoords.z,
-      originalValue
+      editingOriginalText
     );
   }
 
+  // A changed entry that breaks a "stop" validation rule stays in edit mode,
+  // with the typed text, until it's fixed or cancelled with Escape
+  if (save) {
+    const { x, y, z } = editingCellCoords;
+    const rule = getCellValidation(x, y, z);
+    if (
+      rule &&
+      rule.errorStyle === "stop" &&
+      (cellData[`${x},${y},${z}`] || "") !== editingOriginalText &&
+      !isValidEntry(rule, getCellValue(x, y, z))
+    ) {
+      const allowed = describeDataValidation(rule);
+      alert(`This value isn't allowed here. Allowed: ${allowed}.`);
+      return false;
+    }
+  }
+
   // If quantum mode is active and we saved a new numeric value, add it to quantum system
   if (save && isQuantumMode && editingCellCoords) {
     const key = `${editingCellCoords.x},${editingCellCoords.y},${editingCellCoords.z}`;
@@ -967,10 +6550,20 @@ function finishEditing(save) {
     }
   }
 
+  const { x, y, z } = editingCellCoords;
   isEditingCell = false;
   editingCellCoords = null;
   editingText = "";
+  editingOriginalText = "";
+  hideValidationList();
+
+  // Redraw so formulas show their result instead of the source being edited
+  if (isFormula(cellData[`${x},${y},${z}`])) {
+    updateCellText(x, y, z, cellData[`${x},${y},${z}`]);
+  }
+  commitHistoryTransaction();
   console.log("finishEditing complete, isEditingCell now:", isEditingCell);
+  return true;
 }
 
 function getMouseCoordinates(event) {
@@ -986,18 +6579,14 @@ function getMouseCoordinates(event) {
 }
 
 function onWindowResize() {
-  // Update grid size based on new window dimensions
-  GRID_SIZE_X = Math.floor((window.innerWidth - LABEL_OFFSET_X) / CELL_WIDTH);
-  GRID_SIZE_Y = Math.floor(
-    (window.innerHeight - TOOLBAR_HEIGHT - LABEL_OFFSET_Y) / CELL_HEIGHT
-  );
-
-  const gridWidth = GRID_SIZE_X * CELL_WIDTH;
-  const gridHeight = GRID_SIZE_Y * CELL_HEIGHT;
+  // The cells in view are rebuilt on the next frame
+  const viewport = getViewportGridSize();
+  const gridWidth = viewport.x * CELL_WIDTH;
+  const gridHeight = viewport.y * CELL_HEIGHT;
   const centerX = gridWidth / 2;
   const centerY = -gridHeight / 2;
 
-  // Update orthographic camera for new grid size
+  // Update orthographic camera for new viewport size
   orthographicCamera.left = -gridWidth / 2;
   orthographicCamera.right = gridWidth / 2;
   orthographicCamera.top = gridHeight / 2;
@@ -1052,29 +6641,32 @@ function onMouseDown(event) {
     return;
   }
 
-  // Start drag selection (if not shift+clicking)
-  if (!event.shiftKey) {
-    const raycaster = new THREE.Raycaster();
-    const mouse = getMouseCoordinates(event);
-
-    raycaster.setFromCamera(mouse, camera);
-    const intersects = raycaster.intersectObjects(cellMeshes, true);
-
-    if (intersects.length > 0) {
-      const intersect = intersects[0];
-      let cellMesh = intersect.object;
+  // Drag a column or row label border to resize it
+  const border = event.shiftKey ? null : getResizeBorderAt(event);
+  if (border) {
+    startResizeDrag(border, event);
+    event.preventDefault();
+    return;
+  }
 
-      while (cellMesh && !cellMesh.userData.type) {
-        cellMesh = cellMesh.parent;
-      }
+  // Drag the fill handle to continue the selection as a series
+  if (!event.shiftKey && isOverFillHandle(event)) {
+    startFillDrag(event);
+    event.preventDefault();
+    return;
+  }
 
-      if (cellMesh && cellMesh.userData.type === "cell") {
-        isDragging = true;
-        actuallyDragged = false; // Reset the flag
-        selectionStart = cellMesh.userData;
-        selectionEnd = cellMesh.userData;
-        selectCubicRegion(selectionStart, selectionEnd);
-      }
+  // Start drag selection (if not shift+clicking)
+  if (!event.shiftKey) {
+    const hit = getCellAtPointer(event);
+
+    if (hit) {
+      const { cell } = hit;
+      isDragging = true;
+      actuallyDragged = false; // Reset the flag
+      selectionStart = cell;
+      selectionEnd = cell;
+      selectCubicRegion(selectionStart, selectionEnd);
     }
   }
 }
@@ -1113,33 +6705,46 @@ function onMouseMove(event) {
     };
 
     event.preventDefault();
+  } else if (resizeDrag) {
+    updateResizeDrag(event);
+  } else if (fillDrag) {
+    updateFillDrag(event);
   } else if (isDragging) {
     // Update selection end point during drag
-    const raycaster = new THREE.Raycaster();
-    const mouse = getMouseCoordinates(event);
-
-    raycaster.setFromCamera(mouse, camera);
-    const intersects = raycaster.intersectObjects(cellMeshes, true);
-
-    if (intersects.length > 0) {
-      const intersect = intersects[0];
-      let cellMesh = intersect.object;
-
-      while (cellMesh && !cellMesh.userData.type) {
-        cellMesh = cellMesh.parent;
+    const hit = getCellAtPointer(event);
+
+    if (hit) {
+      const { cell } = hit;
+      // Check if we moved to a different cell
+      if (
+        selectionEnd.x !== cell.x ||
+        selectionEnd.y !== cell.y ||
+        selectionEnd.z !== cell.z
+      ) {
+        actuallyDragged = true;
       }
+      selectionEnd = cell;
+      selectCubicRegion(selectionStart, selectionEnd);
+    }
+  } else {
+    // Show a crosshair over the fill handle and resize arrows over label borders
+    const border = getResizeBorderAt(event);
+    renderer.domElement.classList.toggle(
+      "resizing-column",
+      border?.axis === "column"
+    );
+    renderer.domElement.classList.toggle("resizing-row", border?.axis === "row");
+    renderer.domElement.classList.toggle(
+      "filling",
+      !border && isOverFillHandle(event)
+    );
 
-      if (cellMesh && cellMesh.userData.type === "cell") {
-        // Check if we moved to a different cell
-        if (
-          selectionEnd.x !== cellMesh.userData.x ||
-          selectionEnd.y !== cellMesh.userData.y ||
-          selectionEnd.z !== cellMesh.userData.z
-        ) {
-          actuallyDragged = true;
-        }
-        selectionEnd = cellMesh.userData;
-        selectCubicRegion(selectionStart, selectionEnd);
+    // Notes show for commented cells under the pointer
+    hoveredCommentCell = null;
+    if (Object.keys(cellComments).length > 0) {
+      const hit = getCellAtPointer(event);
+      if (hit && cellComments[`${hit.cell.x},${hit.cell.y},${hit.cell.z}`]) {
+        hoveredCommentCell = hit.cell;
       }
     }
   }
@@ -1156,6 +6761,22 @@ function onMouseUp(event) {
     renderer.domElement.classList.remove("grabbing");
   }
 
+  // Finish a resize or fill handle drag (and keep the click from reselecting a cell)
+  if (resizeDrag) {
+    finishResizeDrag();
+    justFinishedDragging = true;
+    setTimeout(() => {
+      justFinishedDragging = false;
+    }, 50);
+  }
+  if (fillDrag) {
+    finishFillDrag();
+    justFinishedDragging = true;
+    setTimeout(() => {
+      justFinishedDragging = false;
+    }, 50);
+  }
+
   // Finish drag selection
   if (isDragging) {
     isDragging = false;
@@ -1187,67 +6808,51 @@ function onClick(event) {
     return;
   }
 
-  // Finish any current editing before selecting new cell
+  // Finish any current editing before selecting new cell (a rejected entry
+  // stays in edit mode)
   if (isEditingCell) {
     console.log("Finishing edit before selecting new cell");
-    finishEditing(true);
+    if (!finishEditing(true)) return;
   }
 
-  const raycaster = new THREE.Raycaster();
-  const mouse = getMouseCoordinates(event);
-
-  raycaster.setFromCamera(mouse, camera);
-
   // Check intersection with cells
-  const intersects = raycaster.intersectObjects(cellMeshes, true);
-
-  if (intersects.length > 0) {
-    const intersect = intersects[0];
-    let cellMesh = intersect.object;
-
-    // Find the parent cell mesh
-    while (cellMesh && !cellMesh.userData.type) {
-      cellMesh = cellMesh.parent;
-    }
-
-    if (cellMesh && cellMesh.userData.type === "cell") {
-      if (event.shiftKey && selectionStart) {
-        // Shift+click to extend selection - don't enter edit mode
-        selectionEnd = cellMesh.userData;
-        selectCubicRegion(selectionStart, selectionEnd);
-      } else {
-        // Regular click - single cell selection (don't auto-edit to allow arrow key navigation)
-        selectionStart = cellMesh.userData;
-        selectionEnd = cellMesh.userData;
-        selectCubicRegion(selectionStart, selectionEnd);
+  const hit = getCellAtPointer(event);
+
+  if (hit) {
+    const { cell } = hit;
+    if (event.shiftKey && selectionStart) {
+      // Shift+click to extend selection - don't enter edit mode
+      selectionEnd = cell;
+      selectCubicRegion(selectionStart, selectionEnd);
+    } else {
+      // Regular click - single cell selection (don't auto-edit to allow arrow key navigation)
+      selectionStart = cell;
+      selectionEnd = cell;
+      selectCubicRegion(selectionStart, selectionEnd);
+
+      // Quantum observation: collapse wave function when cell is clicked
+      if (isQuantumMode) {
+        const { x, y, z } = cell;
+        const key = `${x},${y},${z}`;
 
-        // Quantum observation: collapse wave function when cell is clicked
-        if (isQuantumMode) {
-          const { x, y, z } = cellMesh.userData;
-          const key = `${x},${y},${z}`;
-
-          if (quantumOriginalValues.has(key) && !observedCells.has(key)) {
-            // Mark cell as observed
-            observedCells.add(key);
-
-            // Get current displayed value and set it as the collapsed state
-            const currentValue = cellData[key];
-            if (currentValue) {
-              // Update original value to the collapsed state
-              quantumOriginalValues.set(key, parseFloat(currentValue));
-              console.log(
-                `⚛️ Wave function collapsed for cell (${x},${y},${z}): ${currentValue}`
-              );
-            }
+        if (quantumOriginalValues.has(key) && !observedCells.has(key)) {
+          // Mark cell as observed
+          observedCells.add(key);
+
+          // Get current displayed value and set it as the collapsed state
+          const currentValue = cellData[key];
+          if (currentValue) {
+            // Update original value to the collapsed state
+            quantumOriginalValues.set(key, parseFloat(currentValue));
+            console.log(
+              `⚛️ Wave function collapsed for cell (${x},${y},${z}): ${currentValue}`
+            );
           }
         }
       }
     }
   } else {
     // Clicked on empty space, deselect and stop editing
-    if (isEditingCell) {
-      finishEditing(true);
-    }
     deselectCell();
   }
 }
@@ -1261,24 +6866,25 @@ function selectCubicRegion(start, end) {
     selectionOutline = null;
   }
 
-  // Calculate the bounding box of the selection
-  const minX = Math.min(start.x, end.x);
-  const maxX = Math.max(start.x, end.x);
-  const minY = Math.min(start.y, end.y);
-  const maxY = Math.max(start.y, end.y);
-  const minZ = Math.min(start.z, end.z);
-  const maxZ = Math.max(start.z, end.z);
-
-  const width = (maxX - minX + 1) * CELL_WIDTH;
-  const height = (maxY - minY + 1) * CELL_HEIGHT;
-  const depth = (maxZ - minZ + 1) * CELL_DEPTH;
+  // Calculate the bounding box of the selection, grown to whole merged blocks
+  const box = expandBoxToMergedBlocks({
+    minX: Math.min(start.x, end.x),
+    maxX: Math.max(start.x, end.x),
+    minY: Math.min(start.y, end.y),
+    maxY: Math.max(start.y, end.y),
+    minZ: Math.min(start.z, end.z),
+    maxZ: Math.max(start.z, end.z),
+  });
 
-  // Calculate center position of the selection box (center between first and last cell centers)
-  const centerX =
-    LABEL_OFFSET_X + ((minX + maxX) * CELL_WIDTH) / 2 + CELL_WIDTH / 2;
-  const centerY =
-    -LABEL_OFFSET_Y - ((minY + maxY) * CELL_HEIGHT) / 2 - CELL_HEIGHT / 2;
-  const centerZ = ((minZ + maxZ) * CELL_DEPTH) / 2 + CELL_DEPTH / 2;
+  // Hidden rows inside the selection take no space
+  const {
+    x: centerX,
+    y: centerY,
+    z: centerZ,
+    width,
+    height,
+    depth,
+  } = getBoxBounds(box);
 
   // Create a group for the selection
   selectionOutline = new THREE.Group();
@@ -1315,26 +6921,34 @@ function selectCubicRegion(start, end) {
   fillMesh.renderOrder = 50; // Render fill above cells but below edges
   selectionOutline.add(fillMesh);
 
+  // Fill handle on the bottom-right front corner
+  fillHandle = new THREE.Mesh(
+    new THREE.BoxGeometry(FILL_HANDLE_SIZE, FILL_HANDLE_SIZE, FILL_HANDLE_SIZE),
+    new THREE.MeshBasicMaterial({ color: 0x1a74e8, depthTest: false })
+  );
+  fillHandle.position.set(width / 2, -height / 2, depth / 2);
+  fillHandle.renderOrder = 101;
+  selectionOutline.add(fillHandle);
+
   selectionOutline.position.set(centerX, centerY, centerZ);
   pivot.add(selectionOutline);
+  updateNameBox();
 }
 
-function selectCell(cellMesh) {
+function selectCell(cell) {
   // Remove previous selection
   deselectCell();
 
-  // Store selected cell
-  selectedCellMesh = cellMesh;
-  const { x, y, z } = cellMesh.userData;
+  const { x, y, z } = cell;
 
   // Create a group for the selection
   selectionOutline = new THREE.Group();
 
   // Create thicker outline using multiple edge lines
   const cellGeometry = new THREE.BoxGeometry(
-    CELL_WIDTH,
-    CELL_HEIGHT,
-    CELL_DEPTH
+    getColumnWidth(x),
+    getRowHeight(y),
+    getLayerDepth(z)
   );
 
   // Create simpler edge outlines to avoid z-fighting
@@ -1366,7 +6980,8 @@ function selectCell(cellMesh) {
   fillMesh.renderOrder = 50; // Render fill above cells but below edges
   selectionOutline.add(fillMesh);
 
-  selectionOutline.position.copy(cellMesh.position);
+  const position = getCellCenter(x, y, z);
+  selectionOutline.position.set(position.x, position.y, position.z);
   pivot.add(selectionOutline);
 }
 
@@ -1375,80 +6990,10 @@ function deselectCell() {
     pivot.remove(selectionOutline);
     selectionOutline = null;
   }
+  fillHandle = null;
   selectionStart = null;
   selectionEnd = null;
-  selectedCellMesh = null;
-}
-
-function onDoubleClick(event) {
-  const raycaster = new THREE.Raycaster();
-  const mouse = getMouseCoordinates(event);
-
-  raycaster.setFromCamera(mouse, camera);
-
-  // Check intersection with cells
-  const intersects = raycaster.intersectObjects(cellMeshes, true);
-
-  if (intersects.length > 0) {
-    const intersect = intersects[0];
-    let cellMesh = intersect.object;
-
-    // Find the parent cell mesh
-    while (cellMesh && !cellMesh.userData.type) {
-      cellMesh = cellMesh.parent;
-    }
-
-    if (cellMesh && cellMesh.userData.type === "cell") {
-      const { x, y, z } = cellMesh.userData;
-      openCellEditor(x, y, z, intersect.point);
-    }
-  }
-}
-
-function openCellEditor(x, y, z, worldPosition) {
-  selectedCell = { x, y, z };
-
-  // Convert 3D position to screen position
-  const vector = worldPosition.clone();
-  vector.project(camera);
-
-  const screenX = ((vector.x + 1) / 2) * window.innerWidth;
-  const screenY = (-(vector.y - 1) / 2) * window.innerHeight;
-
-  // Get current value
-  const key = `${x},${y},${z}`;
-  const currentValue = cellData[key] || "";
-
-  // Position and show input
-  const cellInput = document.getElementById("cell-input");
-  cellInput.style.left = screenX + "px";
-  cellInput.style.top = screenY + "px";
-  cellInput.style.display = "block";
-  cellInput.value = currentValue;
-  cellInput.focus();
-  cellInput.select();
-}
-
-function onCellInputBlur() {
-  if (selectedCell) {
-    const cellInput = document.getElementById("cell-input");
-    const value = cellInput.value;
-
-    updateCellText(selectedCell.x, selectedCell.y, selectedCell.z, value);
-
-    cellInput.style.display = "none";
-    selectedCell = null;
-  }
-}
-
-function onCellInputKeydown(event) {
-  if (event.key === "Enter") {
-    event.target.blur();
-  } else if (event.key === "Escape") {
-    const cellInput = document.getElementById("cell-input");
-    cellInput.style.display = "none";
-    selectedCell = null;
-  }
+  updateNameBox();
 }
 
 function onColorChange(event) {
@@ -1463,14 +7008,21 @@ function onColorChange(event) {
     const minZ = Math.min(selectionStart.z, selectionEnd.z);
     const maxZ = Math.max(selectionStart.z, selectionEnd.z);
 
+    // Picker drags fire many input events; merge them into one undo step
     // Set background color for all cells in the range
+    beginHistoryTransaction(
+      "Background color",
+      `background-color:${minX},${minY},${minZ}:${maxX},${maxY},${maxZ}`
+    );
     for (let x = minX; x <= maxX; x++) {
       for (let y = minY; y <= maxY; y++) {
         for (let z = minZ; z <= maxZ; z++) {
+          recordUndoState(`${x},${y},${z}`);
           setCellBackgroundColor(x, y, z, color);
         }
       }
     }
+    commitHistoryTransaction();
   }
 }
 
@@ -1486,14 +7038,21 @@ function onTextColorChange(event) {
     const minZ = Math.min(selectionStart.z, selectionEnd.z);
     const maxZ = Math.max(selectionStart.z, selectionEnd.z);
 
+    // Picker drags fire many input events; merge them into one undo step
     // Set text color for all cells in the range
+    beginHistoryTransaction(
+      "Text color",
+      `text-color:${minX},${minY},${minZ}:${maxX},${maxY},${maxZ}`
+    );
     for (let x = minX; x <= maxX; x++) {
       for (let y = minY; y <= maxY; y++) {
         for (let z = minZ; z <= maxZ; z++) {
+          recordUndoState(`${x},${y},${z}`);
           setCellTextColor(x, y, z, color);
         }
       }
     }
+    commitHistoryTransaction();
   }
 }
 
@@ -1501,46 +7060,17 @@ function setCellBackgroundColor(x, y, z, color) {
   const key = `${x},${y},${z}`;
   cellBackgroundColors[key] = color;
 
-  // Find the cell mesh
-  const cellMesh = cellMeshes.find(
-    (mesh) =>
-      mesh.userData.x === x && mesh.userData.y === y && mesh.userData.z === z
-  );
-
-  if (cellMesh) {
-    // Convert hex color to THREE color
-    const threeColor = new THREE.Color(color);
-
-    // Replace material with lighting-enabled material for colored cells
-    cellMesh.material.dispose(); // Clean up old material
-    cellMesh.material = new THREE.MeshStandardMaterial({
-      color: threeColor,
-      transparent: true,
-      opacity: 1.0, // Completely opaque
-      depthWrite: false,
-      side: THREE.DoubleSide,
-      metalness: 0.0, // No metallic for pure colors
-      roughness: 0.5, // Less matte for more vibrant colors
-      emissive: threeColor,
-      emissiveIntensity: 0.15, // Slight self-illumination for vibrancy
-    });
-
-    // Render cells with background colors on top of default cells
-    cellMesh.renderOrder = 5; // Higher than default cells (1) but lower than selection (10)
-  }
+  // Colored cells are drawn opaque with lighting, on top of default cells
+  updateCellAppearance(x, y, z);
 }
 
 function setCellTextColor(x, y, z, color) {
   const key = `${x},${y},${z}`;
   cellTextColors[key] = color;
 
-  // Update the text sprite if it exists
-  const textSprite = textSprites.find(
-    (s) => s.userData.x === x && s.userData.y === y && s.userData.z === z
-  );
-
-  if (textSprite) {
-    // Recreate the sprite with the new color
+  // Update the text if the cell has any
+  if (cellTextLayouts.has(key)) {
+    // Lay the text out again with the new color
     const text = cellData[key];
     if (text) {
       updateCellText(x, y, z, text);
@@ -1550,9 +7080,7 @@ function setCellTextColor(x, y, z, color) {
 
 function autoSum() {
   // Make sure we're not in edit mode
-  if (isEditingCell) {
-    finishEditing(true);
-  }
+  if (isEditingCell && !finishEditing(true)) return;
 
   // Check if we have a selection
   if (!selectionStart || !selectionEnd) {
@@ -1566,36 +7094,34 @@ function autoSum() {
   const minZ = Math.min(selectionStart.z, selectionEnd.z);
   const maxZ = Math.max(selectionStart.z, selectionEnd.z);
 
-  // Sum all numeric values in the selection
-  let sum = 0;
-  for (let x = minX; x <= maxX; x++) {
-    for (let y = minY; y <= maxY; y++) {
-      for (let z = minZ; z <= maxZ; z++) {
-        const key = `${x},${y},${z}`;
-        const value = cellData[key];
-        if (value) {
-          const numValue = parseFloat(value);
-          if (!isNaN(numValue)) {
-            sum += numValue;
-          }
-        }
-      }
-    }
-  }
-
-  // Find the cell directly below the selection (use selectionStart's X and Z)
-  const targetY = maxY + 1;
+  // Find the first visible cell below the selection (use selectionStart's X and Z)
+  const targetY = getNextVisibleRow(maxY, 1);
   const targetX = selectionStart.x;
   const targetZ = selectionStart.z;
 
-  // Check if target cell exists in grid
-  if (targetY < GRID_SIZE_Y) {
-    // Update the cell with the sum
-    updateCellText(targetX, targetY, targetZ, sum.toString());
+  // No room for the total when the selection ends on the sheet's last row
+  if (!ensureGridExtent(targetX, targetY, targetZ)) {
+    return;
+  }
 
-    // Keep the original selection instead of selecting the sum cell
-    // This prevents accidentally overwriting the sum if user starts typing
+  // Write a live SUM formula so the total follows its inputs. Over filtered
+  // rows it becomes a SUBTOTAL, which only adds up the rows left visible.
+  const range = formatRangeReference(
+    { minX, maxX, minY, maxY, minZ, maxZ },
+    targetZ
+  );
+  let hasHiddenRows = false;
+  for (let y = minY; y <= maxY; y++) {
+    if (hiddenRows.has(y)) hasHiddenRows = true;
   }
+  const formula = hasHiddenRows ? `=SUBTOTAL(9,${range})` : `=SUM(${range})`;
+  beginHistoryTransaction("AutoSum");
+  recordUndoState(`${targetX},${targetY},${targetZ}`);
+  updateCellText(targetX, targetY, targetZ, formula);
+  commitHistoryTransaction();
+
+  // Keep the original selection instead of selecting the sum cell
+  // This prevents accidentally overwriting the sum if user starts typing
 }
 
 // Expose autoSum to window for HTML to access
@@ -1671,23 +7197,20 @@ function animate() {
     // Rotate through the 4th dimension - increased speed for more psychedelic effect
     rotationAngle4D += 0.02;
 
-    cellMeshes.forEach((cellMesh) => {
-      const { x, y, z } = cellMesh.userData;
+    cellInstances.forEach(({ x, y, z }, index) => {
       const key = `${x},${y},${z}`;
       const original = cellOriginalPositions.get(key);
 
-      if (original) {
-        // Project from 4D to 3D
-        const projected = project4Dto3D(
-          original.x,
-          original.y,
-          original.z,
-          original.w,
-          rotationAngle4D
-        );
+      // Project from 4D to 3D
+      const projected = project4Dto3D(
+        original.x,
+        original.y,
+        original.z,
+        original.w,
+        rotationAngle4D
+      );
 
-        cellMesh.position.set(projected.x, projected.y, projected.z);
-      }
+      setCellInstancePosition(index, projected.x, projected.y, projected.z);
     });
   }
 
@@ -1718,19 +7241,58 @@ function animate() {
     }
   }
 
-  // Update text sprites to face camera (billboard effect)
-  textSprites.forEach((sprite) => {
-    // Get world position of sprite
-    const worldPos = new THREE.Vector3();
-    sprite.getWorldPosition(worldPos);
+  // Recolor cells after values or conditional formatting rules changed
+  if (conditionalFormatsDirty) {
+    applyConditionalFormats();
+  }
 
-    // Make sprite look at camera
-    sprite.lookAt(camera.position);
-  });
+  // Flag cells after values or data validation rules changed
+  if (dataValidationsDirty) {
+    applyDataValidations();
+  }
+
+  // Move cells and labels once per frame while a border is dragged
+  if (resizeLayoutDirty) {
+    resizeLayoutDirty = false;
+    relayoutCells();
+  }
+
+  // Redraw cells whose merged blocks were restored (undo, paste, ...)
+  if (mergeLayoutDirty) {
+    relayoutCells();
+  }
+
+  // Keep the list dropdown under the cell being edited
+  if (validationListCell) {
+    positionValidationList();
+  }
+
+  // Rebuild charts whose cells or blocks changed
+  if (chartsDirty) {
+    rebuildCharts();
+  }
+
+  // Corner markers and the note of the hovered or selected commented cell
+  if (commentMarkersDirty) {
+    rebuildCommentMarkers();
+  }
+  updateCommentNote();
+
+  // Collect changed cell text into the glyph instances (text faces the camera in the shader)
+  if (textLayoutDirty) {
+    rebuildTextInstances();
+  }
+
+  // Build cells and labels for what the camera sees after it moved
+  const viewKey = getViewKey();
+  if (viewKey !== renderedViewKey) {
+    renderedViewKey = viewKey;
+    updateRenderedRegion();
+  }
 
   // Update label sprites to face camera
-  labelSprites.forEach((sprite) => {
-    sprite.lookAt(camera.position);
+  [columnLabels, rowLabels, layerLabels].forEach((labels) => {
+    labels.forEach((sprite) => sprite.lookAt(camera.position));
   });
 
   // Render with anaglyph effect if enabled, otherwise normal render
@@ -1779,10 +7341,12 @@ function toggleBold() {
   const minZ = Math.min(selectionStart.z, selectionEnd.z);
   const maxZ = Math.max(selectionStart.z, selectionEnd.z);
 
+  beginHistoryTransaction("Bold");
   for (let x = minX; x <= maxX; x++) {
     for (let y = minY; y <= maxY; y++) {
       for (let z = minZ; z <= maxZ; z++) {
         const key = `${x},${y},${z}`;
+        recordUndoState(key);
         cellTextBold[key] = newState;
 
         // Update the text sprite if cell has text
@@ -1792,6 +7356,7 @@ function toggleBold() {
       }
     }
   }
+  commitHistoryTransaction();
 
   return newState;
 }
@@ -1812,10 +7377,12 @@ function toggleItalic() {
   const minZ = Math.min(selectionStart.z, selectionEnd.z);
   const maxZ = Math.max(selectionStart.z, selectionEnd.z);
 
+  beginHistoryTransaction("Italic");
   for (let x = minX; x <= maxX; x++) {
     for (let y = minY; y <= maxY; y++) {
       for (let z = minZ; z <= maxZ; z++) {
         const key = `${x},${y},${z}`;
+        recordUndoState(key);
         cellTextItalic[key] = newState;
 
         // Update the text sprite if cell has text
@@ -1825,6 +7392,7 @@ function toggleItalic() {
       }
     }
   }
+  commitHistoryTransaction();
 
   return newState;
 }
@@ -1845,10 +7413,12 @@ function toggleStrikethrough() {
   const minZ = Math.min(selectionStart.z, selectionEnd.z);
   const maxZ = Math.max(selectionStart.z, selectionEnd.z);
 
+  beginHistoryTransaction("Strikethrough");
   for (let x = minX; x <= maxX; x++) {
     for (let y = minY; y <= maxY; y++) {
       for (let z = minZ; z <= maxZ; z++) {
         const key = `${x},${y},${z}`;
+        recordUndoState(key);
         cellTextStrikethrough[key] = newState;
 
         // Update the text sprite if cell has text
@@ -1858,6 +7428,7 @@ function toggleStrikethrough() {
       }
     }
   }
+  commitHistoryTransaction();
 
   return newState;
 }
@@ -1874,10 +7445,12 @@ function setFont(fontName) {
   const minZ = Math.min(selectionStart.z, selectionEnd.z);
   const maxZ = Math.max(selectionStart.z, selectionEnd.z);
 
+  beginHistoryTransaction("Font");
   for (let x = minX; x <= maxX; x++) {
     for (let y = minY; y <= maxY; y++) {
       for (let z = minZ; z <= maxZ; z++) {
         const key = `${x},${y},${z}`;
+        recordUndoState(key);
         cellFontFamily[key] = fontName;
 
         // Update the text sprite if cell has text
@@ -1887,6 +7460,92 @@ function setFont(fontName) {
       }
     }
   }
+  commitHistoryTransaction();
+}
+
+// Set the number format of the selected cells ("General" clears it)
+function setNumberFormat(code) {
+  if (!selectionStart) return;
+  const { minX, maxX, minY, maxY, minZ, maxZ } = getSelectionBox();
+
+  beginHistoryTransaction("Number format");
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      for (let z = minZ; z <= maxZ; z++) {
+        const key = `${x},${y},${z}`;
+        recordUndoState(key);
+        if (!code || code.toLowerCase() === "general") {
+          delete cellNumberFormat[key];
+        } else {
+          cellNumberFormat[key] = code;
+        }
+
+        if (cellData[key]) {
+          updateCellText(x, y, z, cellData[key]);
+        }
+      }
+    }
+  }
+  commitHistoryTransaction();
+}
+
+// Store an alignment setting for every selected cell (null clears it)
+function setSelectionAlignment(map, value, label) {
+  if (!selectionStart) return;
+  const { minX, maxX, minY, maxY, minZ, maxZ } = getSelectionBox();
+
+  beginHistoryTransaction(label);
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      for (let z = minZ; z <= maxZ; z++) {
+        const key = `${x},${y},${z}`;
+        recordUndoState(key);
+        if (value) {
+          map[key] = value;
+        } else {
+          delete map[key];
+        }
+
+        if (cellData[key]) {
+          updateCellText(x, y, z, cellData[key]);
+        }
+      }
+    }
+  }
+  commitHistoryTransaction();
+}
+
+// Align text to the "left", "center" or "right" of the selected cells
+function setHorizontalAlign(align) {
+  setSelectionAlignment(
+    cellHorizontalAlign,
+    align === "center" ? null : align,
+    "Align"
+  );
+}
+
+// Align text to the "top", "middle" or "bottom" of the selected cells
+function setVerticalAlign(align) {
+  setSelectionAlignment(
+    cellVerticalAlign,
+    align === "middle" ? null : align,
+    "Align"
+  );
+}
+
+// Toggle "wrap" or "shrink" (to fit) on the selected cells, going by the
+// first cell like the bold toggle. Returns whether the mode is now on.
+function toggleTextWrap(mode) {
+  if (!selectionStart) return false;
+
+  const firstKey = `${selectionStart.x},${selectionStart.y},${selectionStart.z}`;
+  const newState = cellTextWrap[firstKey] !== mode;
+  setSelectionAlignment(
+    cellTextWrap,
+    newState ? mode : null,
+    mode === "wrap" ? "Wrap text" : "Shrink to fit"
+  );
+  return newState;
 }
 
 // Increase font size for selected cells
@@ -1901,10 +7560,12 @@ function increaseFontSize() {
   const minZ = Math.min(selectionStart.z, selectionEnd.z);
   const maxZ = Math.max(selectionStart.z, selectionEnd.z);
 
+  beginHistoryTransaction("Increase font size");
   for (let x = minX; x <= maxX; x++) {
     for (let y = minY; y <= maxY; y++) {
       for (let z = minZ; z <= maxZ; z++) {
         const key = `${x},${y},${z}`;
+        recordUndoState(key);
         const currentSize = cellFontSize[key] || 100;
         const newSize = Math.min(currentSize + 10, 300); // Max 300px
         cellFontSize[key] = newSize;
@@ -1916,6 +7577,7 @@ function increaseFontSize() {
       }
     }
   }
+  commitHistoryTransaction();
 }
 
 // Decrease font size for selected cells
@@ -1930,10 +7592,12 @@ function decreaseFontSize() {
   const minZ = Math.min(selectionStart.z, selectionEnd.z);
   const maxZ = Math.max(selectionStart.z, selectionEnd.z);
 
+  beginHistoryTransaction("Decrease font size");
   for (let x = minX; x <= maxX; x++) {
     for (let y = minY; y <= maxY; y++) {
       for (let z = minZ; z <= maxZ; z++) {
         const key = `${x},${y},${z}`;
+        recordUndoState(key);
         const currentSize = cellFontSize[key] || 100;
         const newSize = Math.max(currentSize - 10, 20); // Min 20px
         cellFontSize[key] = newSize;
@@ -1945,25 +7609,15 @@ function decreaseFontSize() {
       }
     }
   }
+  commitHistoryTransaction();
 }
 
 // Toggle cell borders visibility
 function toggleBorders() {
   bordersHidden = !bordersHidden;
 
-  // Iterate through all cell meshes and toggle their edge visibility
-  cellMeshes.forEach((cellMesh) => {
-    // Find edge children (LineSegments objects and thick border groups)
-    cellMesh.children.forEach((child) => {
-      if (child instanceof THREE.LineSegments) {
-        child.visible = !bordersHidden;
-      }
-      // Also hide thick borders on cells with content
-      if (child.userData && child.userData.type === "thickBorder") {
-        child.visible = !bordersHidden;
-      }
-    });
-  });
+  // All cell edges are drawn by one instanced object
+  cellEdges.visible = !bordersHidden;
 
   return bordersHidden;
 }
@@ -1978,107 +7632,676 @@ function project4Dto3D(x, y, z, w, angle) {
   const zRot = z * cosA - w * sinA;
   const wRot = z * sinA + w * cosA;
 
-  // Perspective projection from 4D to 3D
-  const distance4D = 600; // Reduced distance for much more dramatic perspective distortion
-  const scale = distance4D / (distance4D - wRot);
+  // Perspective projection from 4D to 3D
+  const distance4D = 600; // Reduced distance for much more dramatic perspective distortion
+  const scale = distance4D / (distance4D - wRot);
+
+  let projX = x * scale;
+  let projY = y * scale;
+  let projZ = zRot * scale;
+
+  // Apply barrel distortion for fisheye effect
+  const centerX = 0; // Center of distortion
+  const centerY = 0;
+
+  // Calculate distance from center (in XY plane)
+  const dx = projX - centerX;
+  const dy = projY - centerY;
+  const distance = Math.sqrt(dx * dx + dy * dy);
+
+  // Barrel distortion factor (higher = more distortion)
+  const k = 0.00002; // Reduced distortion coefficient for subtle edge warping
+  const distortion = 1 + k * distance * distance;
+
+  // Apply distortion
+  projX = centerX + dx * distortion;
+  projY = centerY + dy * distortion;
+
+  return {
+    x: projX,
+    y: projY,
+    z: projZ,
+  };
+}
+
+// Toggle 4D projection mode
+function toggle4D() {
+  is4DMode = !is4DMode;
+
+  if (is4DMode) {
+    // Switch to extreme perspective camera for dramatic distortion
+    extremePerspectiveCamera.position.copy(camera.position);
+    extremePerspectiveCamera.rotation.copy(camera.rotation);
+    camera = extremePerspectiveCamera;
+  } else {
+    // Restore original positions
+    cellInstances.forEach(({ x, y, z }, index) => {
+      const original = cellOriginalPositions.get(`${x},${y},${z}`);
+      setCellInstancePosition(index, original.x, original.y, original.z);
+    });
+
+    // Switch back to orthographic camera
+    orthographicCamera.position.copy(camera.position);
+    orthographicCamera.rotation.copy(camera.rotation);
+    camera = orthographicCamera;
+
+    // Reset rotation angle
+    rotationAngle4D = 0;
+  }
+
+  return is4DMode;
+}
+
+// Toggle Quantum Uncertainty mode
+function toggleQuantum() {
+  isQuantumMode = !isQuantumMode;
+
+  if (isQuantumMode) {
+    // Store original values for numeric cells
+    quantumOriginalValues.clear();
+    observedCells.clear();
+
+    Object.entries(cellData).forEach(([key, value]) => {
+      // Check if value is numeric
+      const numValue = parseFloat(value);
+      if (!isNaN(numValue) && value.trim() !== "") {
+        quantumOriginalValues.set(key, numValue);
+      }
+    });
+
+    console.log(
+      `Quantum mode activated! ${quantumOriginalValues.size} cells are now in superposition...`
+    );
+  } else {
+    // Restore original values
+    quantumOriginalValues.forEach((originalValue, key) => {
+      const [x, y, z] = key.split(",").map(Number);
+      updateCellText(x, y, z, originalValue.toString());
+    });
+
+    quantumOriginalValues.clear();
+    observedCells.clear();
+    quantumFluctuationTimer = 0;
+
+    console.log("Quantum mode deactivated. Wave functions collapsed.");
+  }
+
+  return isQuantumMode;
+}
+
+// CSV/TSV import
+
+// Guess the delimiter from the file extension or the first line
+function detectDelimiter(text, fileName = "") {
+  if (/\.tsv$/i.test(fileName)) return "\t";
+
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const candidates = [",", ";", "\t", "|"];
+  let best = ",";
+  let bestCount = 0;
+  candidates.forEach((candidate) => {
+    const count = firstLine.split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+// Import CSV/TSV files starting at the selected cell; each extra file goes one layer deeper.
+// options: { delimiter: "auto" | ",", ";", "\t", "|", quote: '"' | "'" | "", header: "data" | "bold" | "skip" }
+async function importDelimitedFiles(files, options = {}) {
+  const { delimiter = "auto", quote = '"', header = "data" } = options;
+  const fileList = Array.from(files);
+  if (fileList.length === 0) return null;
+
+  if (isEditingCell && !finishEditing(true)) return;
+
+  const startX = selectionStart
+    ? Math.min(selectionStart.x, selectionEnd.x)
+    : 0;
+  const startY = selectionStart
+    ? Math.min(selectionStart.y, selectionEnd.y)
+    : 0;
+  const startZ = selectionStart
+    ? Math.min(selectionStart.z, selectionEnd.z)
+    : 0;
+
+  const texts = await Promise.all(fileList.map((file) => file.text()));
+
+  let imported = 0;
+  let maxX = startX;
+  let maxY = startY;
+
+  beginHistoryTransaction("Import CSV");
+  texts.forEach((rawText, fileIndex) => {
+    const text = rawText.replace(/^\uFEFF/, ""); // Strip byte order mark
+    const fileDelimiter =
+      delimiter === "auto"
+        ? detectDelimiter(text, fileList[fileIndex].name)
+        : delimiter;
+    let rows = parseDelimitedText(text, fileDelimiter, quote);
+    if (header === "skip") {
+      rows = rows.slice(1);
+    }
+
+    // Files past the last layer are skipped, and cells past the sheet's last
+    // column or row are cut off
+    const z = startZ + fileIndex;
+    if (!ensureGridExtent(startX, startY, z)) return;
+    rows.forEach((fields, rowIndex) => {
+      fields.forEach((value, columnIndex) => {
+        const x = startX + columnIndex;
+        const y = startY + rowIndex;
+        if (!isOnSheet(x, y, z)) return;
+        const key = `${x},${y},${z}`;
+        recordUndoState(key);
+        if (header === "bold" && rowIndex === 0) {
+          cellTextBold[key] = true;
+        }
+        updateCellText(x, y, z, value);
+        imported++;
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+      });
+    });
+  });
+  commitHistoryTransaction();
+
+  // Select everything that was imported
+  selectionStart = { x: startX, y: startY, z: startZ };
+  selectionEnd = {
+    x: maxX,
+    y: maxY,
+    z: Math.min(startZ + fileList.length, GRID_SIZE_Z) - 1,
+  };
+  selectCubicRegion(selectionStart, selectionEnd);
+
+  console.log(`Imported ${imported} cells from ${fileList.length} file(s)`);
+  return { files: fileList.length, imported };
+}
+
+// Describe where an import will start, for the import dialog
+function getImportTargetLabel() {
+  const x = selectionStart ? Math.min(selectionStart.x, selectionEnd.x) : 0;
+  const y = selectionStart ? Math.min(selectionStart.y, selectionEnd.y) : 0;
+  const z = selectionStart ? Math.min(selectionStart.z, selectionEnd.z) : 0;
+  return `${columnToLetter(x)}${y + 1} on layer ${toRomanNumeral(z)}`;
+}
+
+// XLSX import/export (ExcelJS is loaded on demand to keep startup light)
+const EXCEL_FONT_NAMES = {
+  arial: "Arial",
+  helvetica: "Helvetica",
+  times: "Times New Roman",
+  georgia: "Georgia",
+  courier: "Courier New",
+  monaco: "Monaco",
+  verdana: "Verdana",
+  comic: "Comic Sans MS",
+  impact: "Impact",
+};
+const EXCEL_DEFAULT_FONT_SIZE = 11; // pt, rendered at our default size of 100px
+const EXCEL_DEFAULT_COLUMN_WIDTH = 14; // characters, matching CELL_WIDTH
+const EXCEL_DEFAULT_ROW_HEIGHT = 15; // pt, matching CELL_HEIGHT
+// Error values Excel accepts; our own (#CIRC!, #ERROR!) aren't among them
+const EXCEL_ERROR_CODES = new Set([
+  "#NULL!",
+  "#DIV/0!",
+  "#VALUE!",
+  "#REF!",
+  "#NAME?",
+  "#NUM!",
+  "#N/A",
+]);
+
+async function loadExcelJS() {
+  const module = await import("exceljs");
+  return module.default || module;
+}
+
+// Plain text of a cell note: a string, or rich text runs
+function excelNoteToText(note) {
+  if (!note) return "";
+  if (typeof note === "string") return note;
+  return (note.texts || []).map((run) => run.text || "").join("");
+}
+
+function excelColorToHex(color) {
+  if (!color || typeof color.argb !== "string") return null; // Theme colors aren't resolved
+  return `#${color.argb.slice(-6).toLowerCase()}`;
+}
+
+function excelValueToText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((run) => run.text).join("");
+    if ("result" in value) return excelValueToText(value.result);
+    if (value.text !== undefined) return String(value.text); // Hyperlink
+    if (value.error) return value.error;
+    return "";
+  }
+  return String(value);
+}
+
+// Rewrite worksheet names in an Excel formula ('Sheet 2'!A1) to layer names (II!A1).
+// 3D references ('Sheet1:Sheet3'!A1:C5) become 3D ranges (A1:C5:I:III).
+function convertExcelFormula(formula, sheetLayers) {
+  return formula.replace(
+    /('(?:[^']|'')+'|[A-Za-z_][\w.]*(?::[A-Za-z_][\w.]*)?)!(\$?[A-Z]+\$?\d+(?::\$?[A-Z]+\$?\d+)?)/gi,
+    (match, sheet, area) => {
+      const names = (
+        sheet.startsWith("'") ? sheet.slice(1, -1).replace(/''/g, "'") : sheet
+      ).split(":");
+      if (!names.every((name) => sheetLayers.has(name))) return match;
+
+      const layers = names.map((name) => toRomanNumeral(sheetLayers.get(name)));
+      if (layers.length === 1) return `${layers[0]}!${area}`;
+
+      const range = area.includes(":") ? area : `${area}:${area}`;
+      return `${range}:${layers[0]}:${layers[1]}`;
+    }
+  );
+}
+
+// Check that every function a formula calls exists in our engine
+function isFormulaSupported(text, origin) {
+  const usesOnlyKnownNames = (node) => {
+    if (node.type === "name") return false;
+    if (node.type === "call") {
+      if (node.name !== "IF" && !FORMULA_FUNCTIONS[node.name]) return false;
+      return node.args.every(usesOnlyKnownNames);
+    }
+    if (node.type === "unary" || node.type === "percent") {
+      return usesOnlyKnownNames(node.operand);
+    }
+    if (node.type === "binary") {
+      return usesOnlyKnownNames(node.left) && usesOnlyKnownNames(node.right);
+    }
+    return true;
+  };
+
+  try {
+    return usesOnlyKnownNames(parseFormula(text.slice(1), origin));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Open an .xlsx workbook, one worksheet per layer, replacing the current sheet
+async function importXlsxFile(file) {
+  const ExcelJS = await loadExcelJS();
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await file.arrayBuffer());
+
+  if (isEditingCell && !finishEditing(true)) return;
+
+  const state = {
+    cellData: {},
+    cellBackgroundColors: {},
+    cellTextColors: {},
+    cellTextBold: {},
+    cellTextItalic: {},
+    cellTextStrikethrough: {},
+    cellFontFamily: {},
+    cellFontSize: {},
+    cellNumberFormat: {},
+    cellHorizontalAlign: {},
+    cellVerticalAlign: {},
+    cellTextWrap: {},
+    cellMergeSpans: {},
+    cellComments: {},
+    layerNames: {},
+    columnWidths: {},
+    rowHeights: {},
+  };
+
+  // Worksheets past the last layer the sheet can hold are left out
+  const worksheets = workbook.worksheets.slice(0, MAX_GRID_LAYERS);
+  const sheetLayers = new Map(worksheets.map((sheet, z) => [sheet.name, z]));
+
+  // Sizes apply to every layer, so the first worksheet setting one wins
+  const importSize = (sizes, index, size) => {
+    if (sizes[index] === undefined) setLayoutSize(sizes, index, size);
+  };
+
+  worksheets.forEach((worksheet, z) => {
+    state.layerNames[z] = worksheet.name;
+
+    (worksheet.columns || []).forEach((column, x) => {
+      if (column.width && column.width !== EXCEL_DEFAULT_COLUMN_WIDTH) {
+        importSize(
+          state.columnWidths,
+          x,
+          (column.width / EXCEL_DEFAULT_COLUMN_WIDTH) * CELL_WIDTH
+        );
+      }
+    });
+
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      if (row.height && row.height !== EXCEL_DEFAULT_ROW_HEIGHT) {
+        importSize(
+          state.rowHeights,
+          rowNumber - 1,
+          (row.height / EXCEL_DEFAULT_ROW_HEIGHT) * CELL_HEIGHT
+        );
+      }
+
+      row.eachCell({ includeEmpty: false }, (cell, columnNumber) => {
+        // Cells covered by a merge only repeat the merged cell's value
+        if (cell.type === ExcelJS.ValueType.Merge) return;
+
+        const x = columnNumber - 1;
+        const y = rowNumber - 1;
+        const key = `${x},${y},${z}`;
+
+        // Keep formulas our engine understands, otherwise the cached result
+        let text = excelValueToText(cell.value);
+        if (cell.type === ExcelJS.ValueType.Formula && cell.formula) {
+          const formula = `=${convertExcelFormula(cell.formula, sheetLayers)}`;
+          if (isFormulaSupported(formula, { x, y, z })) {
+            text = formula;
+          }
+        }
+        // Dates arrive as Date objects: keep them as serial day numbers so
+        // their number format shows them as dates again
+        if (cell.numFmt && cell.numFmt !== "General") {
+          state.cellNumberFormat[key] = cell.numFmt;
+          if (cell.value instanceof Date) {
+            text = formatNumber(
+              (cell.value.getTime() - EXCEL_EPOCH) / 86400000
+            );
+          }
+        }
+        if (text !== "") {
+          state.cellData[key] = text;
+        }
+
+        const fill = cell.fill;
+        if (fill && fill.type === "pattern" && fill.pattern === "solid") {
+          const color = excelColorToHex(fill.fgColor);
+          if (color) state.cellBackgroundColors[key] = color;
+        }
+
+        const font = cell.font || {};
+        const textColor = excelColorToHex(font.color);
+        if (textColor && textColor !== "#000000") {
+          state.cellTextColors[key] = textColor;
+        }
+        if (font.bold) state.cellTextBold[key] = true;
+        if (font.italic) state.cellTextItalic[key] = true;
+        if (font.strike) state.cellTextStrikethrough[key] = true;
+
+        const fontFamily = Object.keys(EXCEL_FONT_NAMES).find(
+          (name) =>
+            EXCEL_FONT_NAMES[name].toLowerCase() ===
+            String(font.name || "").toLowerCase()
+        );
+        if (fontFamily) state.cellFontFamily[key] = fontFamily;
+
+        if (font.size && font.size !== EXCEL_DEFAULT_FONT_SIZE) {
+          const size = Math.round((font.size / EXCEL_DEFAULT_FONT_SIZE) * 100);
+          state.cellFontSize[key] = Math.max(20, Math.min(300, size));
+        }
+
+        const alignment = cell.alignment || {};
+        if (alignment.horizontal === "left" || alignment.horizontal === "right") {
+          state.cellHorizontalAlign[key] = alignment.horizontal;
+        }
+        if (alignment.vertical === "top" || alignment.vertical === "bottom") {
+          state.cellVerticalAlign[key] = alignment.vertical;
+        }
+        if (alignment.wrapText) {
+          state.cellTextWrap[key] = "wrap";
+        } else if (alignment.shrinkToFit) {
+          state.cellTextWrap[key] = "shrink";
+        }
+
+        // A note becomes a one-comment thread
+        const note = excelNoteToText(cell.note).trim();
+        if (note) {
+          state.cellComments[key] = [
+            { author: "", text: note, timestamp: Date.now() },
+          ];
+        }
+      });
+    });
+
+    // Merges are ranges like "A1:C2"
+    (worksheet.model.merges || []).forEach((range) => {
+      const match = /^([A-Z]+)(\d+):([A-Z]+)(\d+)$/.exec(range);
+      if (!match) return;
+      const minX = letterToColumn(match[1]);
+      const minY = Number(match[2]) - 1;
+      const columns = letterToColumn(match[3]) - minX + 1;
+      const rows = Number(match[4]) - minY;
+      const span = `${columns},${rows},1`;
+      if (isValidMergeSpan(span)) {
+        state.cellMergeSpans[`${minX},${minY},${z}`] = span;
+      }
+    });
+  });
+
+  applyState(state);
+
+  console.log(
+    `Workbook "${file.name}" imported with ${worksheets.length} worksheet(s)`
+  );
+  return true;
+}
+
+// Excel sheet names: at most 31 characters, none of []:*?/\ and unique
+function getExportSheetNames(layerCount) {
+  const used = new Set();
+  const names = [];
+  for (let z = 0; z < layerCount; z++) {
+    const base =
+      getLayerLabel(z).replace(/[[\]:*?/\\]/g, "_").slice(0, 31).trim() ||
+      toRomanNumeral(z);
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      name = `${base.slice(0, 31 - `(${n})`.length)}(${n})`;
+    }
+    used.add(name.toLowerCase());
+    names.push(name);
+  }
+  return names;
+}
+
+// Always quote: names like "I" or "AB1" would otherwise read as cell references
+function quoteSheetName(name) {
+  return `'${name.replace(/'/g, "''")}'`;
+}
 
-  let projX = x * scale;
-  let projY = y * scale;
-  let projZ = zRot * scale;
+// Rewrite layer references (II!A1, A1:C5:I:III) to Excel sheet references
+function convertFormulaToExcel(formula, sheetNames) {
+  return rewriteFormulaReferences(formula, (match) => {
+    const sheetName = (layer) =>
+      sheetNames[fromRomanNumeral(layer)] || layer;
+
+    let area = `${match[2]}${match[3]}${match[4]}${match[5]}`;
+    if (match[7]) area += `:${match[6]}${match[7]}${match[8]}${match[9]}`;
+
+    if (match[10]) {
+      // 3D range becomes an Excel 3D reference: 'First:Last'!A1:C5
+      const first = sheetName(match[10]);
+      const last = sheetName(match[11] || match[10]);
+      const sheets = first === last ? first : `${first}:${last}`;
+      return `${quoteSheetName(sheets)}!${area}`;
+    }
+    if (match[1]) {
+      return `${quoteSheetName(sheetName(match[1]))}!${area}`;
+    }
+    return area;
+  });
+}
 
-  // Apply barrel distortion for fisheye effect
-  const centerX = 0; // Center of distortion
-  const centerY = 0;
+function hexToExcelColor(hex) {
+  return { argb: `FF${hex.replace("#", "").toUpperCase()}` };
+}
 
-  // Calculate distance from center (in XY plane)
-  const dx = projX - centerX;
-  const dy = projY - centerY;
-  const distance = Math.sqrt(dx * dx + dy * dy);
+// Offer a Blob to the user as a file download
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-  // Barrel distortion factor (higher = more distortion)
-  const k = 0.00002; // Reduced distortion coefficient for subtle edge warping
-  const distortion = 1 + k * distance * distance;
+// Export the current state as an .xlsx file with one worksheet per layer
+async function exportXlsxFile(fileName = "excel3-workbook.xlsx") {
+  if (isEditingCell && !finishEditing(true)) return;
 
-  // Apply distortion
-  projX = centerX + dx * distortion;
-  projY = centerY + dy * distortion;
+  const ExcelJS = await loadExcelJS();
+  const state = getCurrentState();
 
-  return {
-    x: projX,
-    y: projY,
-    z: projZ,
-  };
-}
+  // Every key that has a value or any formatting
+  const keys = new Set();
+  Object.keys(cellStateMaps).forEach((name) => {
+    Object.keys(state[name] || {}).forEach((key) => keys.add(key));
+  });
 
-// Toggle 4D projection mode
-function toggle4D() {
-  is4DMode = !is4DMode;
+  let layerCount = GRID_SIZE_Z;
+  keys.forEach((key) => {
+    layerCount = Math.max(layerCount, Number(key.split(",")[2]) + 1);
+  });
 
-  if (is4DMode) {
-    // Switch to extreme perspective camera for dramatic distortion
-    extremePerspectiveCamera.position.copy(camera.position);
-    extremePerspectiveCamera.rotation.copy(camera.rotation);
-    camera = extremePerspectiveCamera;
-  } else {
-    // Restore original positions
-    cellMeshes.forEach((cellMesh) => {
-      const { x, y, z } = cellMesh.userData;
-      const key = `${x},${y},${z}`;
-      const original = cellOriginalPositions.get(key);
+  const sheetNames = getExportSheetNames(layerCount);
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "Excel³";
+  workbook.created = new Date();
+  const worksheets = sheetNames.map((name) => workbook.addWorksheet(name));
 
-      if (original) {
-        cellMesh.position.set(original.x, original.y, original.z);
-        cellMesh.scale.set(1, 1, 1);
+  keys.forEach((key) => {
+    const [x, y, z] = key.split(",").map(Number);
+    const cell = worksheets[z].getCell(y + 1, x + 1);
+    const text = state.cellData[key];
+
+    if (isFormula(text)) {
+      const result = getCellValue(x, y, z);
+      cell.value = {
+        formula: convertFormulaToExcel(text.slice(1), sheetNames),
+      };
+      // Errors Excel doesn't know are left out; Excel calculates them on open
+      if (!(result instanceof FormulaError)) {
+        cell.value.result = result;
+      } else if (EXCEL_ERROR_CODES.has(result.code)) {
+        cell.value.result = { error: result.code };
       }
-    });
+    } else if (text !== undefined) {
+      const value = parseCellLiteral(text);
+      cell.value = value === null ? text : value;
+    }
 
-    // Switch back to orthographic camera
-    orthographicCamera.position.copy(camera.position);
-    orthographicCamera.rotation.copy(camera.rotation);
-    camera = orthographicCamera;
+    if (state.cellBackgroundColors[key]) {
+      cell.fill = {
+        type: "pattern",
+        pattern: "solid",
+        fgColor: hexToExcelColor(state.cellBackgroundColors[key]),
+      };
+    }
 
-    // Reset rotation angle
-    rotationAngle4D = 0;
-  }
+    const font = {};
+    if (state.cellTextColors[key]) {
+      font.color = hexToExcelColor(state.cellTextColors[key]);
+    }
+    if (state.cellTextBold[key]) font.bold = true;
+    if (state.cellTextItalic[key]) font.italic = true;
+    if (state.cellTextStrikethrough[key]) font.strike = true;
+    if (EXCEL_FONT_NAMES[state.cellFontFamily[key]]) {
+      font.name = EXCEL_FONT_NAMES[state.cellFontFamily[key]];
+    }
+    if (state.cellFontSize[key]) {
+      // Round to the half points Excel offers
+      const points = (state.cellFontSize[key] / 100) * EXCEL_DEFAULT_FONT_SIZE;
+      font.size = Math.round(points * 2) / 2;
+    }
+    if (Object.keys(font).length > 0) {
+      cell.font = font;
+    }
 
-  return is4DMode;
-}
+    if (state.cellNumberFormat[key]) {
+      cell.numFmt = state.cellNumberFormat[key];
+    }
 
-// Toggle Quantum Uncertainty mode
-function toggleQuantum() {
-  isQuantumMode = !isQuantumMode;
+    // Cells without an alignment are centred in the grid
+    cell.alignment = {
+      horizontal: state.cellHorizontalAlign[key] || "center",
+      vertical: state.cellVerticalAlign[key] || "middle",
+    };
+    if (state.cellTextWrap[key] === "wrap") cell.alignment.wrapText = true;
+    if (state.cellTextWrap[key] === "shrink") cell.alignment.shrinkToFit = true;
+
+    // A thread becomes one note, a line per comment
+    if (state.cellComments[key]) {
+      cell.note = state.cellComments[key]
+        .map(({ author, text }) => (author ? `${author}: ${text}` : text))
+        .join("\n");
+    }
+  });
 
-  if (isQuantumMode) {
-    // Store original values for numeric cells
-    quantumOriginalValues.clear();
-    observedCells.clear();
+  // Merge once every value is written (writing to a merged cell writes to its
+  // anchor); blocks spanning layers are merged on each of their sheets
+  getMergedBlocks().forEach((block) => {
+    for (let z = block.minZ; z <= block.maxZ && z < worksheets.length; z++) {
+      worksheets[z].mergeCells(
+        block.minY + 1,
+        block.minX + 1,
+        block.maxY + 1,
+        block.maxX + 1
+      );
+    }
+  });
 
-    Object.entries(cellData).forEach(([key, value]) => {
-      // Check if value is numeric
-      const numValue = parseFloat(value);
-      if (!isNaN(numValue) && value.trim() !== "") {
-        quantumOriginalValues.set(key, numValue);
-      }
+  // Wider columns match the wide cells of the grid; custom sizes go on every sheet
+  worksheets.forEach((worksheet) => {
+    worksheet.properties.defaultColWidth = EXCEL_DEFAULT_COLUMN_WIDTH;
+    Object.entries(state.columnWidths).forEach(([x, width]) => {
+      worksheet.getColumn(Number(x) + 1).width =
+        Math.round((width / CELL_WIDTH) * EXCEL_DEFAULT_COLUMN_WIDTH * 100) /
+        100;
     });
-
-    console.log(
-      `Quantum mode activated! ${quantumOriginalValues.size} cells are now in superposition...`
-    );
-  } else {
-    // Restore original values
-    quantumOriginalValues.forEach((originalValue, key) => {
-      const [x, y, z] = key.split(",").map(Number);
-      updateCellText(x, y, z, originalValue.toString());
+    Object.entries(state.rowHeights).forEach(([y, height]) => {
+      worksheet.getRow(Number(y) + 1).height =
+        Math.round((height / CELL_HEIGHT) * EXCEL_DEFAULT_ROW_HEIGHT * 4) / 4;
     });
+  });
 
-    quantumOriginalValues.clear();
-    observedCells.clear();
-    quantumFluctuationTimer = 0;
+  const buffer = await workbook.xlsx.writeBuffer();
+  downloadBlob(
+    new Blob([buffer], {
+      type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    }),
+    fileName
+  );
 
-    console.log("Quantum mode deactivated. Wave functions collapsed.");
-  }
+  console.log(`Workbook exported with ${worksheets.length} worksheet(s)`);
+  return true;
+}
 
-  return isQuantumMode;
+function onExportXlsx() {
+  exportXlsxFile().catch((error) => {
+    console.error("Error exporting workbook:", error);
+    alert("Failed to export workbook.");
+  });
+}
+
+function onXlsxFileChange(event) {
+  const file = event.target.files[0];
+  event.target.value = ""; // Allow opening the same file again
+  if (!file) return;
+
+  importXlsxFile(file).catch((error) => {
+    console.error("Error importing workbook:", error);
+    alert("Failed to open workbook. The file might not be a valid .xlsx file.");
+  });
 }
 
 // Helper function to get current state
@@ -2096,11 +8319,37 @@ function getCurrentState() {
     ),
     cellFontFamily: Object.fromEntries(Object.entries(cellFontFamily)),
     cellFontSize: Object.fromEntries(Object.entries(cellFontSize)),
+    cellNumberFormat: Object.fromEntries(Object.entries(cellNumberFormat)),
+    cellHorizontalAlign: Object.fromEntries(
+      Object.entries(cellHorizontalAlign)
+    ),
+    cellVerticalAlign: Object.fromEntries(Object.entries(cellVerticalAlign)),
+    cellTextWrap: Object.fromEntries(Object.entries(cellTextWrap)),
+    cellMergeSpans: Object.fromEntries(Object.entries(cellMergeSpans)),
+    cellComments: Object.fromEntries(Object.entries(cellComments)),
+    layerNames: Object.fromEntries(Object.entries(layerNames)),
+    columnWidths: Object.fromEntries(Object.entries(columnWidths)),
+    rowHeights: Object.fromEntries(Object.entries(rowHeights)),
+    layerDepths: Object.fromEntries(Object.entries(layerDepths)),
+    conditionalFormats: JSON.parse(JSON.stringify(conditionalFormats)),
+    dataValidations: JSON.parse(JSON.stringify(dataValidations)),
+    namedRanges: JSON.parse(JSON.stringify(namedRanges)),
+    charts: JSON.parse(JSON.stringify(charts)),
+    rowFilter: rowFilter && JSON.parse(JSON.stringify(rowFilter)),
   };
 }
 
 // Helper function to apply state
 function applyState(state) {
+  // Record every cell touched by the current or incoming state so loading can be undone
+  beginHistoryTransaction("Load version");
+  const touchedKeys = new Set();
+  Object.keys(cellStateMaps).forEach((name) => {
+    Object.keys(cellStateMaps[name]).forEach((key) => touchedKeys.add(key));
+    Object.keys(state[name] || {}).forEach((key) => touchedKeys.add(key));
+  });
+  touchedKeys.forEach((key) => recordUndoState(key));
+
   // Clear current state
   Object.keys(cellData).forEach((key) => delete cellData[key]);
   Object.keys(cellBackgroundColors).forEach(
@@ -2114,6 +8363,23 @@ function applyState(state) {
   );
   Object.keys(cellFontFamily).forEach((key) => delete cellFontFamily[key]);
   Object.keys(cellFontSize).forEach((key) => delete cellFontSize[key]);
+  Object.keys(cellNumberFormat).forEach((key) => delete cellNumberFormat[key]);
+  Object.keys(cellHorizontalAlign).forEach(
+    (key) => delete cellHorizontalAlign[key]
+  );
+  Object.keys(cellVerticalAlign).forEach((key) => delete cellVerticalAlign[key]);
+  Object.keys(cellTextWrap).forEach((key) => delete cellTextWrap[key]);
+  Object.keys(cellMergeSpans).forEach((key) => delete cellMergeSpans[key]);
+  Object.keys(cellComments).forEach((key) => delete cellComments[key]);
+  Object.keys(layerNames).forEach((z) => delete layerNames[z]);
+  Object.keys(columnWidths).forEach((x) => delete columnWidths[x]);
+  Object.keys(rowHeights).forEach((y) => delete rowHeights[y]);
+  Object.keys(layerDepths).forEach((z) => delete layerDepths[z]);
+  Object.keys(conditionalFormats).forEach((id) => delete conditionalFormats[id]);
+  Object.keys(dataValidations).forEach((id) => delete dataValidations[id]);
+  Object.keys(namedRanges).forEach((name) => delete namedRanges[name]);
+  Object.keys(charts).forEach((id) => delete charts[id]);
+  cellComputedValues.clear();
 
   // Load saved state
   Object.assign(cellData, state.cellData || {});
@@ -2124,6 +8390,45 @@ function applyState(state) {
   Object.assign(cellTextStrikethrough, state.cellTextStrikethrough || {});
   Object.assign(cellFontFamily, state.cellFontFamily || {});
   Object.assign(cellFontSize, state.cellFontSize || {});
+  Object.assign(cellNumberFormat, state.cellNumberFormat || {});
+  Object.assign(cellHorizontalAlign, state.cellHorizontalAlign || {});
+  Object.assign(cellVerticalAlign, state.cellVerticalAlign || {});
+  Object.assign(cellTextWrap, state.cellTextWrap || {});
+  Object.assign(cellMergeSpans, state.cellMergeSpans || {});
+  Object.assign(cellComments, state.cellComments || {});
+  Object.assign(layerNames, state.layerNames || {});
+  Object.assign(columnWidths, state.columnWidths || {});
+  Object.assign(rowHeights, state.rowHeights || {});
+  Object.assign(layerDepths, state.layerDepths || {});
+  Object.assign(conditionalFormats, state.conditionalFormats || {});
+  Object.assign(dataValidations, state.dataValidations || {});
+  Object.assign(namedRanges, state.namedRanges || {});
+  Object.assign(charts, state.charts || {});
+  chartsDirty = true;
+  conditionalFormatsDirty = true;
+  dataValidationsDirty = true;
+  rebuildFormulaPrecedents();
+
+  // A filter belongs to the cells it was set up on: the current one goes, and
+  // the loaded one filters the loaded cells once they're in
+  rowFilter = state.rowFilter
+    ? JSON.parse(JSON.stringify(state.rowFilter))
+    : null;
+  hiddenRows.clear();
+
+  // Grow the grid to cover every loaded cell and named layer
+  ensureGridExtentForKeys(touchedKeys);
+  Object.keys(layerNames).forEach((z) => ensureGridExtent(0, 0, Number(z)));
+  relayoutCells();
+  updateNameBox();
+
+  // Clear cells that only existed before the load
+  touchedKeys.forEach((key) => {
+    if (!cellData[key]) {
+      const [x, y, z] = key.split(",").map(Number);
+      updateCellText(x, y, z, "");
+    }
+  });
 
   // Update all cells visually
   Object.keys(cellData).forEach((key) => {
@@ -2135,33 +8440,17 @@ function applyState(state) {
   Object.keys(cellBackgroundColors).forEach((key) => {
     if (!cellData[key]) {
       const [x, y, z] = key.split(",").map(Number);
-      const cellMesh = cellMeshes.find(
-        (mesh) =>
-          mesh.userData.x === x &&
-          mesh.userData.y === y &&
-          mesh.userData.z === z
-      );
-
-      if (cellMesh) {
-        const color = cellBackgroundColors[key];
-        const threeColor = new THREE.Color(color);
-
-        cellMesh.material.dispose();
-        cellMesh.material = new THREE.MeshStandardMaterial({
-          color: threeColor,
-          transparent: true,
-          opacity: 1.0,
-          depthWrite: false,
-          side: THREE.DoubleSide,
-          metalness: 0.0,
-          roughness: 0.5,
-          emissive: threeColor,
-          emissiveIntensity: 0.15,
-        });
-        cellMesh.renderOrder = 5;
-      }
+      updateCellAppearance(x, y, z);
     }
   });
+
+  if (rowFilter) {
+    applyRowFilter();
+  } else {
+    updateFilterButton();
+  }
+
+  commitHistoryTransaction();
 }
 
 // Save all cell states to localStorage (old single-slot function)
@@ -2329,12 +8618,491 @@ function deleteVersionFromLocalStorage(versionName) {
   }
 }
 
+// Workbook files (.excel3)
+// A JSON file holding the current state, every saved version and the view settings.
+const WORKBOOK_FORMAT = "excel3-workbook";
+const WORKBOOK_FORMAT_VERSION = 1;
+
+// Value checks for each per-cell map, used to validate opened files
+const cellMapValidators = {
+  cellData: (value) => typeof value === "string",
+  cellBackgroundColors: (value) => /^#[0-9a-f]{6}$/i.test(value),
+  cellTextColors: (value) => /^#[0-9a-f]{6}$/i.test(value),
+  cellTextBold: (value) => typeof value === "boolean",
+  cellTextItalic: (value) => typeof value === "boolean",
+  cellTextStrikethrough: (value) => typeof value === "boolean",
+  cellFontFamily: (value) => typeof value === "string",
+  cellFontSize: (value) =>
+    typeof value === "number" && value >= 20 && value <= 300,
+  cellNumberFormat: (value) => typeof value === "string",
+  cellHorizontalAlign: (value) => value === "left" || value === "right",
+  cellVerticalAlign: (value) => value === "top" || value === "bottom",
+  cellTextWrap: (value) => value === "wrap" || value === "shrink",
+  cellMergeSpans: isValidMergeSpan,
+  cellComments: (value) =>
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every(
+      (comment) =>
+        isPlainObject(comment) &&
+        typeof comment.author === "string" &&
+        typeof comment.text === "string" &&
+        typeof comment.timestamp === "number"
+    ),
+};
+
+// A cubic range on the sheet, min before max
+function isValidBox(box) {
+  if (!isPlainObject(box)) return false;
+  const { minX, maxX, minY, maxY, minZ, maxZ } = box;
+  return (
+    isOnSheet(minX, minY, minZ) &&
+    isOnSheet(maxX, maxY, maxZ) &&
+    minX <= maxX &&
+    minY <= maxY &&
+    minZ <= maxZ
+  );
+}
+
+function isValidConditionalFormat(rule) {
+  const isColor = (value) => /^#[0-9a-f]{6}$/i.test(value);
+  if (!isPlainObject(rule) || !isValidBox(rule.range)) return false;
+  if (rule.type === "scale") {
+    return (
+      Array.isArray(rule.colors) &&
+      (rule.colors.length === 2 || rule.colors.length === 3) &&
+      rule.colors.every(isColor)
+    );
+  }
+  if (rule.type === "contains") {
+    return typeof rule.text === "string" && isColor(rule.color);
+  }
+  return (
+    CONDITIONAL_FORMAT_TYPES.includes(rule.type) &&
+    typeof rule.value === "number" &&
+    (rule.type !== "between" || typeof rule.value2 === "number") &&
+    isColor(rule.color)
+  );
+}
+
+function isValidDataValidation(rule) {
+  if (!isPlainObject(rule) || !isValidBox(rule.range)) return false;
+  if (rule.errorStyle !== "stop" && rule.errorStyle !== "warning") {
+    return false;
+  }
+  if (rule.type === "list") {
+    return (
+      Array.isArray(rule.values) &&
+      rule.values.every((value) => typeof value === "string")
+    );
+  }
+  const isBound =
+    rule.type === "date"
+      ? (value) => value === null || getDateSerial(value) !== null
+      : (value) => value === null || typeof value === "number";
+  return (
+    DATA_VALIDATION_TYPES.includes(rule.type) &&
+    isBound(rule.min) &&
+    isBound(rule.max)
+  );
+}
+
+function isValidFilterCriterion(criterion) {
+  if (!isPlainObject(criterion)) return false;
+  const isBound = (value) => value === null || typeof value === "number";
+  switch (criterion.type) {
+    case "values":
+      return (
+        Array.isArray(criterion.values) &&
+        criterion.values.every((value) => typeof value === "string")
+      );
+    case "range":
+      return isBound(criterion.min) && isBound(criterion.max);
+    case "contains":
+      return typeof criterion.text === "string";
+  }
+  return false;
+}
+
+function isValidRowFilter(filter) {
+  if (filter === null) return true;
+  if (!isPlainObject(filter) || !isPlainObject(filter.criteria)) return false;
+  const { headerRow, lastRow, minX, maxX, minZ, maxZ } = filter;
+  return (
+    isValidBox({ minX, maxX, minY: headerRow, maxY: lastRow, minZ, maxZ }) &&
+    Object.entries(filter.criteria).every(
+      ([x, criterion]) =>
+        /^\d+$/.test(x) &&
+        Number(x) >= minX &&
+        Number(x) <= maxX &&
+        isValidFilterCriterion(criterion)
+    )
+  );
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// Return a list of problems with a state object (empty when valid)
+function validateState(state, label) {
+  const errors = [];
+  if (!isPlainObject(state)) {
+    return [`${label} is not an object`];
+  }
+
+  Object.entries(cellMapValidators).forEach(([name, isValid]) => {
+    if (state[name] === undefined) return;
+    if (!isPlainObject(state[name])) {
+      errors.push(`${label}.${name} is not an object`);
+      return;
+    }
+    Object.entries(state[name]).forEach(([key, value]) => {
+      if (
+        !/^\d+,\d+,\d+$/.test(key) ||
+        !isOnSheet(...key.split(",").map(Number))
+      ) {
+        errors.push(`${label}.${name} has an invalid cell key "${key}"`);
+      } else if (!isValid(value)) {
+        errors.push(`${label}.${name}["${key}"] has an invalid value`);
+      }
+    });
+  });
+
+  // Merged blocks must also end on the sheet and not overlap; opening the file
+  // indexes every cell they cover
+  if (isPlainObject(state.cellMergeSpans)) {
+    const covered = new Set();
+    const invalid = Object.entries(state.cellMergeSpans).find(([key, span]) => {
+      if (!/^\d+,\d+,\d+$/.test(key) || !isValidMergeSpan(span)) {
+        return false; // Reported above
+      }
+      const [x, y, z] = key.split(",").map(Number);
+      const [columns, rows, layers] = span.split(",").map(Number);
+      if (
+        !isOnSheet(x + columns - 1, y + rows - 1, z + layers - 1) ||
+        covered.size + columns * rows * layers > MAX_MERGED_CELLS
+      ) {
+        return true;
+      }
+      for (let dx = 0; dx < columns; dx++) {
+        for (let dy = 0; dy < rows; dy++) {
+          for (let dz = 0; dz < layers; dz++) {
+            const cell = `${x + dx},${y + dy},${z + dz}`;
+            if (covered.has(cell)) return true;
+            covered.add(cell);
+          }
+        }
+      }
+      return false;
+    });
+    if (invalid) {
+      errors.push(
+        `${label}.cellMergeSpans["${invalid[0]}"] leaves the sheet or overlaps another merged block`
+      );
+    }
+  }
+
+  if (state.layerNames !== undefined) {
+    if (
+      !isPlainObject(state.layerNames) ||
+      Object.entries(state.layerNames).some(
+        ([z, name]) =>
+          !/^\d+$/.test(z) ||
+          Number(z) >= MAX_GRID_LAYERS ||
+          typeof name !== "string"
+      )
+    ) {
+      errors.push(`${label}.layerNames is invalid`);
+    }
+  }
+
+  ["columnWidths", "rowHeights", "layerDepths"].forEach((name) => {
+    if (state[name] === undefined) return;
+    if (
+      !isPlainObject(state[name]) ||
+      Object.entries(state[name]).some(
+        ([index, size]) =>
+          !/^\d+$/.test(index) ||
+          typeof size !== "number" ||
+          size < MIN_CELL_SIZE ||
+          size > MAX_CELL_SIZE
+      )
+    ) {
+      errors.push(`${label}.${name} is invalid`);
+    }
+  });
+
+  if (state.conditionalFormats !== undefined) {
+    if (
+      !isPlainObject(state.conditionalFormats) ||
+      Object.entries(state.conditionalFormats).some(
+        ([id, rule]) => !/^\d+$/.test(id) || !isValidConditionalFormat(rule)
+      )
+    ) {
+      errors.push(`${label}.conditionalFormats is invalid`);
+    }
+  }
+
+  if (state.dataValidations !== undefined) {
+    if (
+      !isPlainObject(state.dataValidations) ||
+      Object.entries(state.dataValidations).some(
+        ([id, rule]) => !/^\d+$/.test(id) || !isValidDataValidation(rule)
+      )
+    ) {
+      errors.push(`${label}.dataValidations is invalid`);
+    }
+  }
+
+  if (state.namedRanges !== undefined) {
+    if (
+      !isPlainObject(state.namedRanges) ||
+      Object.entries(state.namedRanges).some(
+        ([name, box]) => !RANGE_NAME_PATTERN.test(name) || !isValidBox(box)
+      )
+    ) {
+      errors.push(`${label}.namedRanges is invalid`);
+    }
+  }
+
+  if (state.charts !== undefined) {
+    if (
+      !isPlainObject(state.charts) ||
+      Object.entries(state.charts).some(
+        ([id, chart]) =>
+          !/^\d+$/.test(id) ||
+          !isPlainObject(chart) ||
+          !CHART_TYPES.includes(chart.type) ||
+          !isValidBox(chart.range) ||
+          getBoxCellCount(chart.range) > MAX_CHART_CELLS
+      )
+    ) {
+      errors.push(`${label}.charts is invalid`);
+    }
+  }
+
+  if (state.rowFilter !== undefined && !isValidRowFilter(state.rowFilter)) {
+    errors.push(`${label}.rowFilter is invalid`);
+  }
+
+  return errors;
+}
+
+function validateWorkbookFile(workbook) {
+  if (!isPlainObject(workbook) || workbook.format !== WORKBOOK_FORMAT) {
+    return ["This is not an Excel³ workbook file"];
+  }
+  if (
+    typeof workbook.formatVersion !== "number" ||
+    workbook.formatVersion > WORKBOOK_FORMAT_VERSION
+  ) {
+    return ["The workbook was saved by a newer version of Excel³"];
+  }
+
+  const errors = validateState(workbook.state, "state");
+
+  if (workbook.versions !== undefined) {
+    if (!Array.isArray(workbook.versions)) {
+      errors.push("versions is not a list");
+    } else {
+      workbook.versions.forEach((version, index) => {
+        if (!isPlainObject(version) || typeof version.name !== "string") {
+          errors.push(`versions[${index}] has no name`);
+        } else {
+          errors.push(...validateState(version, `versions[${index}]`));
+        }
+      });
+    }
+  }
+
+  if (workbook.view !== undefined && !isPlainObject(workbook.view)) {
+    errors.push("view is not an object");
+  }
+
+  return errors;
+}
+
+// Camera, rotation and mode settings
+function getViewSettings() {
+  return {
+    camera: {
+      position: camera.position.toArray(),
+      zoom: camera.zoom,
+    },
+    rotation: [pivot.rotation.x, pivot.rotation.y, pivot.rotation.z],
+    bordersHidden,
+    anaglyph: isAnaglyphMode,
+    hypercube: is4DMode,
+    quantum: isQuantumMode,
+  };
+}
+
+function applyViewSettings(view) {
+  // Modes toggle (and switch camera) first, then the camera is positioned
+  if (Boolean(view.bordersHidden) !== bordersHidden) toggleBorders();
+  if (Boolean(view.hypercube) !== is4DMode) toggle4D();
+  if (Boolean(view.anaglyph) !== isAnaglyphMode) toggleAnaglyph();
+  if (Boolean(view.quantum) !== isQuantumMode) toggleQuantum();
+
+  if (view.camera) {
+    const { position, zoom } = view.camera;
+    if (Array.isArray(position) && position.length === 3) {
+      camera.position.fromArray(position.map(Number));
+    }
+    if (typeof zoom === "number") {
+      camera.zoom = Math.max(0.1, Math.min(5, zoom));
+    }
+    camera.updateProjectionMatrix();
+  }
+
+  if (Array.isArray(view.rotation) && view.rotation.length === 3) {
+    pivot.rotation.set(...view.rotation.map(Number));
+  }
+
+  // Keep the toolbar toggle buttons in sync
+  if (window.updateModeButtons) {
+    window.updateModeButtons({
+      "toggle-borders-button": bordersHidden,
+      "anaglyph-button": isAnaglyphMode,
+      "hypercube-button": is4DMode,
+      "quantum-button": isQuantumMode,
+    });
+  }
+}
+
+// Full data of every version saved in localStorage
+function getSavedVersionData() {
+  return getSavedVersions()
+    .map((version) => {
+      try {
+        return JSON.parse(
+          localStorage.getItem(`3d-excel-version-${version.name}`)
+        );
+      } catch (error) {
+        console.error(`Error reading version ${version.name}:`, error);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+function downloadWorkbook(fileName = "workbook.excel3") {
+  if (isEditingCell && !finishEditing(true)) return;
+
+  const workbook = {
+    format: WORKBOOK_FORMAT,
+    formatVersion: WORKBOOK_FORMAT_VERSION,
+    savedAt: Date.now(),
+    state: getCurrentState(),
+    versions: getSavedVersionData(),
+    view: getViewSettings(),
+  };
+
+  downloadBlob(
+    new Blob([JSON.stringify(workbook)], { type: "application/json" }),
+    fileName
+  );
+  console.log("Workbook downloaded");
+  return true;
+}
+
+// Open a .excel3 file: validate it, then restore state, versions and view
+async function openWorkbookFile(file) {
+  let workbook;
+  try {
+    workbook = JSON.parse(await file.text());
+  } catch (error) {
+    alert("Failed to open workbook. The file is not valid JSON.");
+    return false;
+  }
+
+  const errors = validateWorkbookFile(workbook);
+  if (errors.length > 0) {
+    console.error("Invalid workbook file:", errors);
+    const shown = errors.slice(0, 5).join("\n");
+    const more = errors.length > 5 ? `\n…and ${errors.length - 5} more` : "";
+    alert(`Failed to open workbook:\n${shown}${more}`);
+    return false;
+  }
+
+  if (isEditingCell && !finishEditing(true)) return;
+
+  applyState(workbook.state);
+
+  // Versions from the file replace local versions with the same name
+  (workbook.versions || []).forEach((version) => {
+    try {
+      localStorage.setItem(
+        `3d-excel-version-${version.name}`,
+        JSON.stringify(version)
+      );
+      const existingIndex = localStorage.getItem("3d-excel-versions-index");
+      const versionsIndex = existingIndex ? JSON.parse(existingIndex) : [];
+      if (!versionsIndex.includes(version.name)) {
+        versionsIndex.push(version.name);
+        localStorage.setItem(
+          "3d-excel-versions-index",
+          JSON.stringify(versionsIndex)
+        );
+      }
+    } catch (error) {
+      console.error(`Error restoring version ${version.name}:`, error);
+    }
+  });
+
+  if (workbook.view) {
+    applyViewSettings(workbook.view);
+  }
+
+  console.log(`Workbook "${file.name}" opened`);
+  return true;
+}
+
+function onWorkbookFileChange(event) {
+  const file = event.target.files[0];
+  event.target.value = ""; // Allow opening the same file again
+  if (!file) return;
+
+  openWorkbookFile(file).catch((error) => {
+    console.error("Error opening workbook:", error);
+    alert("Failed to open workbook.");
+  });
+}
+
 // Expose functions to window for HTML access
 window.toggleAnaglyph = toggleAnaglyph;
 window.toggleBold = toggleBold;
 window.toggleItalic = toggleItalic;
 window.toggleStrikethrough = toggleStrikethrough;
 window.setFont = setFont;
+window.setNumberFormat = setNumberFormat;
+window.setHorizontalAlign = setHorizontalAlign;
+window.setVerticalAlign = setVerticalAlign;
+window.toggleTextWrap = toggleTextWrap;
+window.getSelectionSizes = getSelectionSizes;
+window.toggleMergeSelection = toggleMergeSelection;
+window.addConditionalFormat = addConditionalFormat;
+window.removeConditionalFormat = removeConditionalFormat;
+window.getConditionalFormats = getConditionalFormats;
+window.addDataValidation = addDataValidation;
+window.removeDataValidation = removeDataValidation;
+window.getDataValidations = getDataValidations;
+window.addComment = addComment;
+window.removeComment = removeComment;
+window.getAllComments = getAllComments;
+window.getCommentCellLabel = getCommentCellLabel;
+window.defineName = defineName;
+window.removeName = removeName;
+window.getNamedRanges = getNamedRanges;
+window.getSelectionAddress = getSelectionAddress;
+window.goToReference = goToReference;
+window.addChart = addChart;
+window.removeChart = removeChart;
+window.getCharts = getCharts;
+window.mergeSelection = mergeSelection;
+window.unmergeSelection = unmergeSelection;
+window.setSelectionSizes = setSelectionSizes;
 window.increaseFontSize = increaseFontSize;
 window.decreaseFontSize = decreaseFontSize;
 window.toggleBorders = toggleBorders;
@@ -2347,6 +9115,35 @@ window.getSavedVersions = getSavedVersions;
 window.saveVersionToLocalStorage = saveVersionToLocalStorage;
 window.loadVersionFromLocalStorage = loadVersionFromLocalStorage;
 window.deleteVersionFromLocalStorage = deleteVersionFromLocalStorage;
+// History functions
+window.undo = undo;
+window.redo = redo;
+// Insert/delete rows, columns and layers
+window.insertSelected = insertSelected;
+window.deleteSelected = deleteSelected;
+window.getSelectedSpanLabel = getSelectedSpanLabel;
+// Find and replace functions
+window.findCells = findCells;
+window.goToCell = goToCell;
+window.replaceNext = replaceNext;
+window.replaceAll = replaceAll;
+// Filter functions
+window.createRowFilter = createRowFilter;
+window.removeRowFilter = removeRowFilter;
+window.setFilterCriterion = setFilterCriterion;
+window.getFilterColumns = getFilterColumns;
+window.getFilterValues = getFilterValues;
+window.getFilterStatus = getFilterStatus;
+// Sort functions
+window.sortSelection = sortSelection;
+window.getSortColumns = getSortColumns;
+window.getSortRangeLabel = getSortRangeLabel;
+// Import functions
+window.importDelimitedFiles = importDelimitedFiles;
+window.getImportTargetLabel = getImportTargetLabel;
+window.exportXlsx = onExportXlsx;
+// Workbook file functions
+window.downloadWorkbook = downloadWorkbook;
 
 // Start the application
 init();